@@ -9,20 +9,72 @@ import { EventEmitter } from 'events';
 declare namespace SlimCryptDB {
     interface DatabaseOptions {
         encrypt?: boolean;
-        compression?: boolean;
+        compression?: boolean; // Shorthand for codec 'gzip' (true) or 'none' (false)
+        codec?: 'gzip' | 'deflate-raw' | 'brotli' | 'none'; // Compresses plaintext before encryption
+        cipher?: CipherSuite; // Defaults to the cipher recorded by migrateCipher(), else aes-256-gcm
+        fieldKey?: Buffer; // 32-byte key for schema fields marked encrypted: true
         walEnabled?: boolean;
         syncWrites?: boolean;
         maxWalSize?: number;
         checkpointInterval?: number;
         lockTimeout?: number;
         walPaddingSize?: number;
+        keepPreviousGeneration?: boolean; // Keep <table>.db.prev as a read fallback
+        opaqueFileNames?: boolean; // Name files with HMACs of table and index names
+        keyProvider?: KeyProvider; // Supplies the master key instead of the constructor argument
+    }
+
+    type CipherSuite = 'aes-256-gcm' | 'chacha20-poly1305';
+
+    interface ProviderKey {
+        keyId?: string; // Key version, recorded in header.json
+        key: Buffer; // 32-byte master key
+    }
+
+    interface KeyWrapContext {
+        tableName: string;
+    }
+
+    interface KeyProvider {
+        /** Return the key version `keyId`, or the current version when omitted */
+        getKey(keyId?: string): Promise<ProviderKey>;
+        /** Wrap a table data key; omit both wrap hooks to wrap locally with the master key */
+        wrapKey?(dataKey: Buffer, context: KeyWrapContext): Promise<string>;
+        unwrapKey?(wrappedKey: string, context: KeyWrapContext): Promise<Buffer>;
+        /** Create a new current key version, used by rotateKey() */
+        rotateKey?(): Promise<ProviderKey>;
+    }
+
+    interface ScryptOptions {
+        N?: number; // CPU/memory cost, a power of two (default: 32768)
+        r?: number; // Block size (default: 8)
+        p?: number; // Parallelization (default: 1)
+    }
+
+    type KeySlotCredential = { passphrase: string } | { key: Buffer };
+
+    interface KeySlotOptions {
+        name?: string;
+        kdf?: ScryptOptions; // For passphrase slots
+    }
+
+    interface KeySlot {
+        id: number;
+        type: 'key' | 'passphrase';
+        name: string | null;
+        created: number;
+    }
+
+    interface OpenOptions extends DatabaseOptions {
+        passphrase: string;
+        kdf?: ScryptOptions; // Used when the database is created
     }
 
     interface JSONSchema {
-        type?: string;
+        type?: 'string' | 'number' | 'integer' | 'boolean' | 'object' | 'array' | 'null' | Array<'string' | 'number' | 'integer' | 'boolean' | 'object' | 'array' | 'null'>;
         properties?: { [key: string]: JSONSchema };
         required?: string[];
-        items?: JSONSchema;
+        items?: JSONSchema | JSONSchema[];
         enum?: any[];
         format?: string;
         minLength?: number;
@@ -30,7 +82,17 @@ declare namespace SlimCryptDB {
         minimum?: number;
         maximum?: number;
         pattern?: string;
-        additionalProperties?: boolean;
+        additionalProperties?: boolean | JSONSchema;
+        oneOf?: JSONSchema[];
+        anyOf?: JSONSchema[];
+        allOf?: JSONSchema[];
+        encrypted?: boolean; // Top-level fields only: sealed with the field key
+    }
+
+    interface SchemaViolation {
+        /** JSON path of the offending value, e.g. `$.readings[0].value` */
+        path: string;
+        message: string;
     }
 
     interface QueryCondition {
@@ -50,9 +112,15 @@ declare namespace SlimCryptDB {
     }
 
     interface QueryJoin {
+        /** Table to join with */
         table: string;
+        /** Column on the current rows to match */
         on: string;
+        /** Column on the joined table to match (defaults to `on`) */
+        foreignKey?: string;
         type?: 'inner' | 'left' | 'right';
+        /** Namespace joined columns as `alias.column` instead of merging them */
+        as?: string;
     }
 
     interface QueryOptions {
@@ -60,11 +128,27 @@ declare namespace SlimCryptDB {
         sort?: QuerySort;
         limit?: number;
         offset?: number;
-        join?: QueryJoin;
+        join?: QueryJoin | QueryJoin[];
+    }
+
+    interface TableIndexDescription {
+        name: string;
+        columns: string[];
+        type: 'btree' | 'hash' | 'blind';
+        unique: boolean;
+    }
+
+    interface TableDescription {
+        name: string;
+        schema: JSONSchema | null;
+        created: number;
+        version: number;
+        options: Record<string, any>;
+        indexes: TableIndexDescription[];
     }
 
     interface IndexOptions {
-        type?: 'btree' | 'hash';
+        type?: 'btree' | 'hash' | 'blind'; // blind: keyed HMACs of the values, requires the fieldKey
         unique?: boolean;
     }
 
@@ -73,6 +157,8 @@ declare namespace SlimCryptDB {
         indexes: number;
         activeTransactions: number;
         walSequence: number;
+        checkpointLSN: number; // Last WAL sequence durable in table files
+        manifestGeneration: number | null; // Latest file generation, null without encryption
         memoryUsage: NodeJS.MemoryUsage;
         uptime: number;
         locks: number;
@@ -81,10 +167,18 @@ declare namespace SlimCryptDB {
         walRecoveryFailures?: number; // New: Number of failures in last recovery
     }
 
+    interface WALRowOperation {
+        type: 'insert' | 'update' | 'delete';
+        tableName: string;
+        id: string;
+        before?: any; // Row image before an update or delete
+        after?: any; // Row image after an insert or update
+    }
+
     interface WALEntry {
         sequence: number;
         timestamp: number;
-        operation: any;
+        operation: WALRowOperation | any;
         checksum: string;
     }
 
@@ -112,8 +206,15 @@ declare namespace SlimCryptDB {
         successCount: number | null;
     }
 
+    interface IntegrityEvent {
+        type: 'stale' | 'modified' | 'manifest' | 'missing' | 'previous-generation';
+        file: string; // Path relative to the database directory
+        generation?: number; // Generation found in the file
+        expectedGeneration?: number; // Generation recorded in the manifest
+    }
+
     type TransactionId = string;
-    type EventType = 'add' | 'update' | 'delete' | 'createTable' | 'deleteTable' | 'createIndex' | 'commitTransaction' | 'rollbackTransaction';
+    type EventType = 'add' | 'update' | 'delete' | 'createTable' | 'deleteTable' | 'createIndex' | 'commitTransaction' | 'rollbackTransaction' | 'integrity';
 }
 
 declare class SlimCryptDB extends EventEmitter {
@@ -125,15 +226,40 @@ declare class SlimCryptDB extends EventEmitter {
      */
     constructor(databaseDir: string, encryptionKey?: Buffer | null, options?: SlimCryptDB.DatabaseOptions);
 
+    /**
+     * Open (or create) a passphrase-protected database. The key is derived
+     * with scrypt from the salt and costs stored in header.json.
+     * @param databaseDir Directory path for database storage
+     * @param options Passphrase, scrypt costs for a new database and configuration options
+     */
+    static open(databaseDir: string, options: SlimCryptDB.OpenOptions): Promise<SlimCryptDB>;
+
     /**
      * Create a new table with optional schema validation
      * @param tableName Name of the table to create
      * @param schema Optional JSON schema for validation
+     * @param options Optional table options, recorded in the catalog;
+     * `subjectField` seals each row with a key per value of that field
+     */
+    createTable(tableName: string, schema?: SlimCryptDB.JSONSchema | null, options?: Record<string, any>): Promise<void>;
+
+    /**
+     * List all tables recorded in the catalog
+     * @returns Sorted table names
      */
-    createTable(tableName: string, schema?: SlimCryptDB.JSONSchema | null): Promise<void>;
+    listTables(): string[];
 
     /**
-     * Delete a table and all its data
+     * Describe a table from the catalog
+     * @param tableName Name of the table
+     * @returns Schema, creation time, version, indexes and options
+     */
+    describeTable(tableName: string): SlimCryptDB.TableDescription;
+
+    /**
+     * Delete a table and all its data. The table's data key is removed
+     * from the catalog, so copies of its files can no longer be decrypted,
+     * except with a catalog backup made before the delete.
      * @param tableName Name of the table to delete
      */
     deleteTable(tableName: string): Promise<void>;
@@ -158,9 +284,30 @@ declare class SlimCryptDB extends EventEmitter {
      * Read data from a table with basic filtering
      * @param tableName Name of the table
      * @param query Simple key-value filter object
+     * @param transactionId Optional transaction ID whose pending changes are included
      * @returns Array of matching records
      */
-    readData(tableName: string, query?: Record<string, any>): Promise<any[]>;
+    readData(tableName: string, query?: Record<string, any>, transactionId?: SlimCryptDB.TransactionId | null): Promise<any[]>;
+
+    /**
+     * Decrypt the encrypted fields of rows read without the field key
+     * @param tableName Table the rows were read from
+     * @param rows Rows with sealed fields
+     * @param fieldKey Defaults to the fieldKey option
+     * @returns Copies of the rows with their fields decrypted
+     */
+    decryptFields(tableName: string, rows: any[], fieldKey?: Buffer): Promise<any[]>;
+
+    /**
+     * Delete a data subject's rows from every table with a subjectField
+     * and destroy the subject's key. Copies in the WAL and backups can no
+     * longer be decrypted, unless a copy of subject-keys.meta made before
+     * the shred is kept alongside them.
+     * Subject ids are compared as strings, so 42 and '42' are the same
+     * subject.
+     * @returns Number of deleted rows
+     */
+    shredSubject(subjectId: string | number): Promise<number>;
 
     /**
      * Update data in a table
@@ -185,9 +332,10 @@ declare class SlimCryptDB extends EventEmitter {
      * Query data with advanced filtering, sorting, and pagination
      * @param tableName Name of the table
      * @param query Advanced query options
+     * @param transactionId Optional transaction ID whose pending changes are included
      * @returns Array of matching records
      */
-    queryData(tableName: string, query?: SlimCryptDB.QueryOptions): Promise<any[]>;
+    queryData(tableName: string, query?: SlimCryptDB.QueryOptions, transactionId?: SlimCryptDB.TransactionId | null): Promise<any[]>;
 
     /**
      * Create an index for faster queries
@@ -241,6 +389,48 @@ declare class SlimCryptDB extends EventEmitter {
      */
     getWALRecoverySummary(): SlimCryptDB.WALRecoverySummary;
 
+    /**
+     * Rewrap the per-table data keys under a new master key, re-encrypt the
+     * catalog and regenerate the WAL salt. Table and index files are left
+     * untouched. Crash-safe: an interrupted rotation is completed or undone
+     * on the next open with the new or old key.
+     * @param newKey 32-byte encryption key; omitted when a keyProvider
+     * supplies the new key through its rotateKey() hook
+     */
+    rotateKey(newKey?: Buffer): Promise<void>;
+
+    /**
+     * Change the passphrase of a passphrase-protected database and/or its
+     * scrypt costs; omitted costs keep their current values
+     * @param passphrase New (or unchanged) passphrase
+     * @param kdf New scrypt costs
+     */
+    changePassphrase(passphrase: string, kdf?: SlimCryptDB.ScryptOptions): Promise<void>;
+
+    /**
+     * Add a key slot that unlocks the database with a passphrase or key.
+     * The first slot moves the database to a random master key and keeps
+     * the current key or passphrase as slot 0.
+     */
+    addKeySlot(credential: SlimCryptDB.KeySlotCredential, options?: SlimCryptDB.KeySlotOptions): Promise<SlimCryptDB.KeySlot>;
+
+    /**
+     * Revoke a key slot without re-encrypting data; the last slot cannot be removed
+     */
+    removeKeySlot(id: number): Promise<void>;
+
+    /**
+     * Key slots of the database, without their wrapped keys
+     */
+    listKeySlots(): Promise<SlimCryptDB.KeySlot[]>;
+
+    /**
+     * Re-encrypt table, index and catalog files with another cipher suite
+     * and use it for new files and WAL records. An interrupted migration
+     * leaves a readable database and is finished by running it again.
+     */
+    migrateCipher(cipher: SlimCryptDB.CipherSuite): Promise<void>;
+
     /**
      * Gracefully close the database
      */
@@ -257,6 +447,7 @@ declare class SlimCryptDB extends EventEmitter {
     on(event: 'createIndex', listener: (tableName: string, indexName: string) => void): this;
     on(event: 'commitTransaction', listener: (transactionId: SlimCryptDB.TransactionId) => void): this;
     on(event: 'rollbackTransaction', listener: (transactionId: SlimCryptDB.TransactionId) => void): this;
+    on(event: 'integrity', listener: (event: SlimCryptDB.IntegrityEvent) => void): this;
 
     removeListener(event: SlimCryptDB.EventType, listener: (...args: any[]) => void): this;
 
@@ -270,6 +461,56 @@ declare class SlimCryptDB extends EventEmitter {
     private _recoverFromWAL(): Promise<void>; // Enhanced in v2.2.0
 }
 
+/**
+ * Raised when data does not satisfy a table schema
+ */
+declare class SchemaValidationError extends Error {
+    /** Every violation found, with its JSON path */
+    errors: SlimCryptDB.SchemaViolation[];
+}
+
+/**
+ * Raised when a REPEATABLE_READ or SERIALIZABLE transaction cannot commit
+ * because another transaction changed a table it used; retry the transaction
+ */
+declare class SerializationError extends Error {
+    transactionId: SlimCryptDB.TransactionId;
+    tableName: string;
+}
+
+/**
+ * Raised by ready() when the key does not match the database's key-check record
+ */
+declare class WrongKeyError extends Error {}
+
+/**
+ * Raised when stored data fails authentication or cannot be decoded
+ */
+declare class IntegrityError extends Error {}
+
+/**
+ * Raised by commitTransaction() when the commit is durable in the WAL but
+ * its tables could not be replaced. Its tables stay locked until a
+ * checkpoint applies it, or recovery replays it on the next open.
+ */
+declare class CommitNotAppliedError extends Error {
+    transactionId: SlimCryptDB.TransactionId;
+    cause: Error;
+}
+
+/**
+ * Key provider backed by a local JSON keyring file (mode 0600), for
+ * development and tests without an external KMS
+ */
+declare class LocalKeyProvider implements SlimCryptDB.KeyProvider {
+    constructor(keyringPath: string);
+    keyringPath: string;
+    getKey(keyId?: string): Promise<SlimCryptDB.ProviderKey>;
+    wrapKey(dataKey: Buffer, context: SlimCryptDB.KeyWrapContext): Promise<string>;
+    unwrapKey(wrappedKey: string, context: SlimCryptDB.KeyWrapContext): Promise<Buffer>;
+    rotateKey(): Promise<SlimCryptDB.ProviderKey>;
+}
+
 /**
  * Generate a cryptographically secure 256-bit encryption key
  * @returns 32-byte Buffer containing the encryption key
@@ -287,6 +528,12 @@ declare function createSecureDatabase(databaseDir: string, encryptionKey?: Buffe
 
 export {
     SlimCryptDB,
+    SchemaValidationError,
+    SerializationError,
+    WrongKeyError,
+    IntegrityError,
+    CommitNotAppliedError,
+    LocalKeyProvider,
     generateEncryptionKey,
     createSecureDatabase
 };
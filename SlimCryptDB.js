@@ -5,10 +5,142 @@ const EventEmitter = require('events');
 const zlib = require('zlib');
 const util = require('util');
 const path = require('path');
+const net = require('net');
 
 // Promisify compression functions
 const gzip = util.promisify(zlib.gzip);
 const gunzip = util.promisify(zlib.gunzip);
+const scrypt = util.promisify(crypto.scrypt);
+
+// Codecs compressing the JSON plaintext of table, index and catalog files
+const CODECS = {
+  none: {
+    id: 0,
+    compress: async (data) => data,
+    decompress: async (data) => data,
+  },
+  gzip: { id: 1, compress: gzip, decompress: gunzip },
+  'deflate-raw': {
+    id: 2,
+    compress: util.promisify(zlib.deflateRaw),
+    decompress: util.promisify(zlib.inflateRaw),
+  },
+  brotli: {
+    id: 3,
+    compress: util.promisify(zlib.brotliCompress),
+    decompress: util.promisify(zlib.brotliDecompress),
+  },
+};
+
+// Plaintext header of passphrase-protected databases (KDF salt and costs)
+const HEADER_FILE = 'header.json';
+const MANIFEST_FILE = 'manifest.json';
+const CATALOG_FILE = 'catalog.meta';
+const OPAQUE_FILE_NAME = /^[0-9a-f]{32}\.db$/;
+const DEFAULT_SCRYPT_PARAMS = { N: 2 ** 15, r: 8, p: 1 };
+// Ciphertext format bound to its file through additional authenticated data
+const FORMAT_VERSION = 2;
+// Encrypted into the header to verify the key before touching any data
+const KEY_CHECK_RECORD = { check: 'slimcryptdb-key-check' };
+// Table, index, catalog and WAL records are stored in a binary container:
+// magic, format version, cipher id, codec id, flags, key id and nonce
+// length, followed by the nonce, auth tag and payload
+const FILE_MAGIC = Buffer.from('SCDB');
+const FILE_FORMAT_VERSION = 3;
+const KEY_ID_SIZE = 8;
+const FILE_HEADER_SIZE = FILE_MAGIC.length + 5 + KEY_ID_SIZE;
+const FILE_FLAG_BOUND = 1; // Authenticated with the file's AAD
+const AUTH_TAG_SIZE = 16;
+const CIPHERS = {
+  none: { id: 0, nonceSize: 0 },
+  'aes-256-gcm': { id: 1, nonceSize: 16 },
+  'chacha20-poly1305': { id: 2, nonceSize: 12 },
+};
+const DEFAULT_CIPHER = 'aes-256-gcm';
+// Values of schema fields marked `encrypted: true`, sealed with the field key
+const SEALED_FIELD_PREFIX = 'scdb:sealed:';
+// Values of rows in tables with a subjectField, sealed with the subject's key
+const SEALED_SUBJECT_PREFIX = 'scdb:subject:';
+const SUBJECT_KEYS_FILE = 'subject-keys.meta';
+
+/**
+ * Raised when data does not satisfy a table schema. `errors` lists every
+ * violation as `{ path, message }`, with paths such as `$.address.zip`.
+ */
+class SchemaValidationError extends Error {
+  constructor(errors) {
+    super(
+      errors.map((error) => `${error.message} at ${error.path}`).join('; ')
+    );
+    this.name = 'SchemaValidationError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Raised when committing a REPEATABLE_READ or SERIALIZABLE transaction
+ * would break its isolation guarantee because another transaction committed
+ * changes to a table it used. The transaction is rolled back and can be
+ * retried from the start.
+ */
+class SerializationError extends Error {
+  constructor(transactionId, tableName) {
+    super(
+      `Serialization failure: table ${tableName} was modified by another transaction since transaction ${transactionId} used it; retry the transaction`
+    );
+    this.name = 'SerializationError';
+    this.transactionId = transactionId;
+    this.tableName = tableName;
+  }
+}
+
+/**
+ * Raised when a database is opened with a key that does not match its
+ * key-check record (or either key of an interrupted key rotation)
+ */
+class WrongKeyError extends Error {
+  constructor(
+    message = 'Wrong encryption key: the key does not match this database'
+  ) {
+    super(message);
+    this.name = 'WrongKeyError';
+  }
+}
+
+/**
+ * Raised when stored data fails authentication or cannot be decoded after
+ * the key has been verified, i.e. it was corrupted or tampered with
+ */
+class IntegrityError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'IntegrityError';
+  }
+}
+
+/**
+ * Raised when a transaction's commit marker is durable but its tables
+ * could not be replaced. The transaction is committed: its tables stay
+ * locked while checkpoints retry applying it, and recovery replays it on
+ * the next open if the process stops first.
+ */
+class CommitNotAppliedError extends Error {
+  constructor(transactionId, cause) {
+    super(
+      `Transaction ${transactionId} is committed but not applied: ${cause.message}`
+    );
+    this.name = 'CommitNotAppliedError';
+    this.transactionId = transactionId;
+    this.cause = cause;
+  }
+}
+
+const ISOLATION_LEVELS = [
+  'READ_UNCOMMITTED',
+  'READ_COMMITTED',
+  'REPEATABLE_READ',
+  'SERIALIZABLE',
+];
 
 /**
  * SlimCryptDB - A lightweight, secure, high-performance encrypted database
@@ -17,10 +149,37 @@ const gunzip = util.promisify(zlib.gunzip);
 class SlimCryptDB {
   constructor(databaseDir, encryptionKey = null, options = {}) {
     this.databaseDir = databaseDir;
+    // The master key is fetched from the provider during initialization
+    this.keyProvider = options.keyProvider || null;
+    this.keyId = null;
+    if (this.keyProvider) {
+      validateKeyProvider(this.keyProvider);
+      if (encryptionKey) {
+        throw new Error(
+          'Pass either an encryption key or a keyProvider, not both'
+        );
+      }
+    } else if (options.opaqueFileNames && options.encrypt === false) {
+      throw new Error('opaqueFileNames requires encryption');
+    } else if (!encryptionKey && options.encrypt !== false) {
+      // Emitted as a process warning, which the minified build keeps
+      process.emitWarning(
+        'No encryption key provided: generated a random key that is lost when the process exits. Pass a key or use SlimCryptDB.open(dir, { passphrase }).',
+        'SecurityWarning'
+      );
+    }
+    // Separate key for encrypted fields; without it they are read sealed
+    const { fieldKey = null, ...databaseOptions } = options;
+    if (fieldKey) {
+      assertFieldKey(fieldKey);
+    }
+    this.fieldKey = fieldKey && Buffer.from(fieldKey);
     // Create a copy of the encryption key to prevent shared Buffer issues
-    this.encryptionKey = encryptionKey
-      ? Buffer.from(encryptionKey)
-      : this._generateSecureKey();
+    if (encryptionKey) {
+      this.encryptionKey = Buffer.from(encryptionKey);
+    } else {
+      this.encryptionKey = this.keyProvider ? null : this._generateSecureKey();
+    }
     this.options = {
       encrypt: true,
       compression: true,
@@ -29,9 +188,24 @@ class SlimCryptDB {
       maxWalSize: 100 * 1024 * 1024, // 100MB
       checkpointInterval: 30000, // 30 seconds
       lockTimeout: 10000, // 10 seconds - increased timeout
+      keepPreviousGeneration: false, // Keep <table>.db.prev as a read fallback
+      opaqueFileNames: false, // Name table and index files with HMACs of their names
       walPaddingSize: 1024, // Fixed size for WAL entries to prevent size-based attacks
-      ...options,
+      ...databaseOptions,
     };
+    // Without a codec, `compression` chooses between gzip and none
+    if (!this.options.codec) {
+      this.options.codec = this.options.compression ? 'gzip' : 'none';
+    }
+    if (!Object.hasOwn(CODECS, this.options.codec)) {
+      throw new Error(
+        `Unknown codec ${this.options.codec}: use ${Object.keys(CODECS).join(', ')}`
+      );
+    }
+    // Without a cipher, the one recorded by migrateCipher() is used
+    if (this.options.cipher) {
+      assertCipher(this.options.cipher);
+    }
 
     this.eventEmitter = new EventEmitter();
     this.indexes = new Map();
@@ -39,11 +213,27 @@ class SlimCryptDB {
     this.lockQueue = new Map(); // Queue for waiting transactions
     this.transactions = new Map();
     this.schemas = new Map();
+    this.tableVersions = new Map(); // Bumped by every commit to a table
+    this.catalog = { version: 1, tables: {} };
+    this.dataKeys = new Map(); // Unwrapped per-table data keys
+    this.manifest = null; // Generation and hash of every table, index and catalog file
+    this.manifestSave = null;
+    this.catalogSave = null;
+    this.subjectKeys = new Map(); // Per-subject keys, destroyed by shredSubject()
+    this.subjectKeysSave = null;
     this.walSequence = 0;
     this.walBuffer = [];
-    this.isCheckpointing = false;
+    this.checkpointLSN = 0; // Last sequence known to be durable in table files
+    this.pendingWALSequences = new Set(); // Logged but not yet applied
+    this.unappliedCommits = new Map(); // Committed, tables not yet replaced
+    this.walSegments = []; // Segments written by this instance
+    this.activeWALSegment = null;
+    this.recoveredWALSegments = []; // Segments fully replayed at startup
+    this.checkpointPromise = null;
     this.checkpointTimer = null; // Store timer reference for cleanup
+    this.isClosing = false;
     this.isClosed = false;
+    this.keyRotationPromise = null;
 
     // WAL encryption properties
     this.walSalt = null;
@@ -56,6 +246,41 @@ class SlimCryptDB {
 
     // Start initialization immediately
     this.initializationPromise = this._initializeDatabase();
+    // Failures surface through ready() and the first operation
+    this.initializationPromise.catch(() => {});
+  }
+
+  /**
+   * Open a database protected by a passphrase. The key is derived with
+   * scrypt using the salt and cost parameters in the database header,
+   * which is created with `kdf` (N, r, p) for a new database.
+   */
+  static async open(databaseDir, { passphrase, kdf, ...options } = {}) {
+    if (typeof passphrase !== 'string' || passphrase.length === 0) {
+      throw new Error('A passphrase is required to open the database');
+    }
+
+    let header = await readJSONFile(path.join(databaseDir, HEADER_FILE));
+    if (!header) {
+      header = createDatabaseHeader(kdf);
+      await fs.mkdir(databaseDir, { recursive: true });
+      await writeFileDurably(
+        path.join(databaseDir, HEADER_FILE),
+        JSON.stringify(header, null, 2)
+      );
+    }
+
+    const key = await resolvePassphraseKey(databaseDir, passphrase, header);
+    const db = new SlimCryptDB(databaseDir, key, options);
+    key.fill(0);
+
+    try {
+      await db.ready();
+    } catch (error) {
+      await db.close();
+      throw error;
+    }
+    return db;
   }
 
   // ensure initialization is complete
@@ -82,21 +307,407 @@ class SlimCryptDB {
         recursive: true,
       });
 
+      if (this.keyProvider && this.options.encrypt) {
+        const { keyId, key } = await resolveProviderKey(
+          this.databaseDir,
+          this.keyProvider
+        );
+        this.encryptionKey = key;
+        this.keyId = keyId;
+      } else if (this.options.encrypt) {
+        // A key that opens a key slot unlocks the master key
+        const masterKey = await resolveKeySlotKey(
+          this.databaseDir,
+          this.encryptionKey
+        );
+        if (masterKey) {
+          this.encryptionKey.fill(0);
+          this.encryptionKey = masterKey;
+        }
+      }
+
+      // Finish or undo a key rotation interrupted by a crash
+      await this._resumeKeyRotation();
+
+      // Discard half-written files from interrupted writes
+      await this._removeStagedFiles();
+
+      // Reject a wrong key before it is mistaken for corrupted data
+      const keyVerified = await this._verifyEncryptionKey();
+
       // initialize WAL encryption before WAL recovery
       await this._initializeWALEncryption();
 
+      // Load table definitions before WAL recovery may amend them
+      const catalogData = await this._loadCatalog();
+
+      // Authenticate the record of file generations before any file is read
+      await this._loadManifest();
+      if (catalogData) {
+        await this._verifyFileGeneration(
+          CATALOG_FILE,
+          catalogData,
+          this.catalog.generation
+        );
+      }
+      await this._loadSubjectKeys();
+
+      // Finish renaming files before recovery looks them up
+      await this._migrateFileNames();
+
       if (this.options.walEnabled) {
+        await this._loadWALControl();
         await this._recoverFromWAL();
       }
 
+      // Register tables that predate the catalog (or were recovered from WAL)
+      await this._reconcileCatalog();
+
+      // Detect table and index files replaced with older copies
+      await this._verifyManifestFiles();
+
+      // Rehydrate persisted indexes once table files are up to date
+      await this._loadIndexes();
+
+      // Rewrite files stored in an older format
+      await this._upgradeFiles();
+
+      // Databases without a key-check record get one once their data
+      // has decrypted successfully
+      if (!keyVerified) {
+        await this._writeKeyCheck();
+      }
+
       // Mark as initialized only after everything is complete
       this.isInitialized = true;
       this._startCheckpointScheduler();
     } catch (error) {
+      if (error instanceof WrongKeyError || error instanceof IntegrityError) {
+        throw error;
+      }
       throw new Error(`Database initialization failed: ${error.message}`);
     }
   }
 
+  /**
+   * Rewrite table, index and previous-generation files stored before the
+   * current container format, or before ciphertext was bound to its file,
+   * then require the binding for all of them. The catalog is rewritten
+   * last, so interrupted upgrades resume on the next open.
+   */
+  async _upgradeFiles() {
+    if (this.catalog.formatVersion === FILE_FORMAT_VERSION) return;
+
+    await this._rewriteFiles(
+      (container) => !container || (this.options.encrypt && !container.bound)
+    );
+    if (this.options.encrypt) {
+      this.catalog.requireAAD = true;
+    }
+    this.catalog.formatVersion = FILE_FORMAT_VERSION;
+    await this._saveCatalog();
+  }
+
+  /**
+   * Re-encode the table, index and previous-generation files for which
+   * needsRewrite(container) is true; the container is null for files in
+   * the hex format. Rewritten files get a new generation.
+   */
+  async _rewriteFiles(needsRewrite) {
+    for (const tableName of Object.keys(this.catalog.tables)) {
+      const key = await this._getTableKey(tableName);
+
+      for (const { file, aad } of this._getTableFiles(tableName)) {
+        const filePath = path.join(this.databaseDir, file);
+
+        for (const target of [filePath, `${filePath}.prev`]) {
+          let raw;
+          try {
+            raw = await fs.readFile(target);
+          } catch (error) {
+            if (error.code === 'ENOENT') continue;
+            throw error;
+          }
+          let data;
+          try {
+            if (!needsRewrite(parseContainer(raw))) continue;
+            data = await this._decodeData(raw, key, aad);
+          } catch (error) {
+            console.warn(
+              `[REWRITE] Cannot rewrite ${path.basename(target)}: ${error.message}`
+            );
+            continue;
+          }
+          if (target === filePath && this.manifest) {
+            // A new generation survives a crash before the manifest is saved
+            data.generation = this._nextGeneration();
+          }
+
+          const encoded = await this._encodeData(data, key, aad);
+          await this._atomicWriteFile(target, encoded);
+          this._recordFile(
+            target === filePath ? file : `${file}.prev`,
+            data.generation,
+            encoded
+          );
+        }
+      }
+    }
+
+    await this._saveManifest();
+  }
+
+  /**
+   * Load the manifest of file generations and check its MAC. A database
+   * whose catalog records a manifest cannot be opened without one.
+   */
+  async _loadManifest() {
+    if (!this.options.encrypt) return;
+
+    const manifest = await readJSONFile(this._getManifestPath());
+    if (!manifest) {
+      if (this.catalog.manifest) {
+        this.eventEmitter.emit('integrity', {
+          type: 'missing',
+          file: MANIFEST_FILE,
+        });
+        throw new IntegrityError(`${MANIFEST_FILE} is missing`);
+      }
+      this.manifest = { version: 1, generation: 0, files: {} };
+      return;
+    }
+
+    const { mac, ...content } = manifest;
+    const expected = Buffer.from(signManifest(content, this.encryptionKey));
+    const actual = Buffer.from(typeof mac === 'string' ? mac : '');
+    if (
+      actual.length !== expected.length ||
+      !crypto.timingSafeEqual(actual, expected)
+    ) {
+      this.eventEmitter.emit('integrity', {
+        type: 'manifest',
+        file: MANIFEST_FILE,
+      });
+      throw new IntegrityError(
+        `Authentication failed: ${MANIFEST_FILE} has been modified`
+      );
+    }
+    this.manifest = content;
+  }
+
+  /**
+   * Compare every table and index file with the manifest on open. Files
+   * the manifest does not know yet are recorded as they are.
+   */
+  async _verifyManifestFiles() {
+    if (!this.manifest) return;
+
+    let recorded = false;
+    for (const tableName of Object.keys(this.catalog.tables)) {
+      for (const { file, aad } of this._getTableFiles(tableName)) {
+        let raw;
+        try {
+          raw = await fs.readFile(path.join(this.databaseDir, file));
+        } catch (error) {
+          if (error.code === 'ENOENT') continue;
+          throw error;
+        }
+
+        const entry = this.manifest.files[file];
+        if (!entry) {
+          this._recordFile(file, 0, raw);
+          recorded = true;
+          continue;
+        }
+        if (entry.hash === hashFileData(raw)) continue;
+
+        try {
+          const data = await this._decodeData(
+            raw,
+            await this._getTableKey(tableName),
+            aad
+          );
+          await this._verifyFileGeneration(file, raw, data.generation);
+        } catch (error) {
+          console.warn(`[INTEGRITY] ${file}: ${error.message}`);
+        }
+      }
+    }
+
+    if (recorded) {
+      await this._saveManifest();
+    }
+  }
+
+  /**
+   * Check a file read from disk against its manifest entry. A file newer
+   * than its entry was written after the manifest was last saved (e.g.
+   * before a crash) and is recorded; an older or altered one is rejected.
+   */
+  async _verifyFileGeneration(file, raw, generation = 0) {
+    if (!this.manifest) return;
+
+    const entry = this.manifest.files[file];
+    const hash = hashFileData(raw);
+    if (entry && entry.hash === hash) return;
+
+    if (!entry || generation > entry.generation) {
+      this.manifest.files[file] = { generation, hash };
+      this.manifest.generation = Math.max(this.manifest.generation, generation);
+      await this._saveManifest();
+      return;
+    }
+
+    const stale = generation < entry.generation;
+    this.eventEmitter.emit('integrity', {
+      type: stale ? 'stale' : 'modified',
+      file,
+      generation,
+      expectedGeneration: entry.generation,
+    });
+    throw new IntegrityError(
+      stale
+        ? `Rollback detected: ${file} is generation ${generation}, expected ${entry.generation}`
+        : `Authentication failed: ${file} does not match the manifest`
+    );
+  }
+
+  /**
+   * Check a <file>.prev read as a fallback against the entry recorded when
+   * it was replaced. Unlike the current file, a newer or unrecorded copy
+   * is not accepted.
+   */
+  _verifyPreviousGeneration(file, raw, generation = 0) {
+    if (!this.manifest) return;
+
+    const previousFile = `${file}.prev`;
+    const entry = this.manifest.files[previousFile];
+    if (
+      entry &&
+      entry.generation === generation &&
+      entry.hash === hashFileData(raw)
+    ) {
+      return;
+    }
+
+    const stale = Boolean(entry) && generation < entry.generation;
+    this.eventEmitter.emit('integrity', {
+      type: stale ? 'stale' : 'modified',
+      file: previousFile,
+      generation,
+      expectedGeneration: entry ? entry.generation : undefined,
+    });
+    throw new IntegrityError(
+      stale
+        ? `Rollback detected: ${previousFile} is generation ${generation}, expected ${entry.generation}`
+        : `Authentication failed: ${previousFile} does not match the manifest`
+    );
+  }
+
+  _nextGeneration() {
+    return this.manifest ? ++this.manifest.generation : undefined;
+  }
+
+  /**
+   * Record a written file. With keepPrevious the replaced entry is kept
+   * for <file>.prev, the only previous generation the read fallback accepts.
+   */
+  _recordFile(file, generation, data, { keepPrevious = false } = {}) {
+    if (!this.manifest) return;
+    if (keepPrevious) {
+      const previous = this.manifest.files[file];
+      if (previous) {
+        this.manifest.files[`${file}.prev`] = previous;
+      } else {
+        delete this.manifest.files[`${file}.prev`];
+      }
+    }
+    this.manifest.files[file] = {
+      generation: generation || 0,
+      hash: hashFileData(data),
+    };
+  }
+
+  _forgetFile(file) {
+    if (this.manifest) {
+      delete this.manifest.files[file];
+      delete this.manifest.files[`${file}.prev`];
+    }
+  }
+
+  /**
+   * Persist the manifest. Saves are chained so that an older snapshot
+   * never replaces a newer one.
+   */
+  async _saveManifest() {
+    if (!this.manifest) return;
+
+    const save = (this.manifestSave || Promise.resolve())
+      .catch(() => {})
+      .then(() =>
+        this._atomicWriteFile(
+          this._getManifestPath(),
+          serializeManifest(this.manifest, this.encryptionKey)
+        )
+      );
+    this.manifestSave = save;
+    await save;
+
+    // Deleting the manifest must not switch the checks off
+    if (!this.catalog.manifest) {
+      this.catalog.manifest = true;
+      await this._saveCatalog();
+    }
+  }
+
+  _getManifestPath() {
+    return path.join(this.databaseDir, MANIFEST_FILE);
+  }
+
+  /**
+   * Check the key against the header's key-check record. Returns false
+   * when there is no record yet.
+   */
+  async _verifyEncryptionKey() {
+    if (!this.options.encrypt) return true;
+
+    const header = await readJSONFile(path.join(this.databaseDir, HEADER_FILE));
+    if (!header || !header.keyCheck) return false;
+
+    let record;
+    try {
+      record = this._decryptData(header.keyCheck);
+    } catch (error) {
+      if (error.message.startsWith('Authentication failed')) {
+        throw new WrongKeyError();
+      }
+      throw new IntegrityError(
+        `Database header is corrupted: ${error.message}`
+      );
+    }
+
+    if (record.check !== KEY_CHECK_RECORD.check) {
+      throw new IntegrityError(
+        'Database header has an invalid key-check record'
+      );
+    }
+    return true;
+  }
+
+  async _writeKeyCheck() {
+    if (!this.options.encrypt) return;
+
+    const headerPath = path.join(this.databaseDir, HEADER_FILE);
+    const header = (await readJSONFile(headerPath)) || { version: 1 };
+    header.keyCheck = this._encryptData(KEY_CHECK_RECORD);
+    if (this.keyId) {
+      // Names the provider key version the database is encrypted with
+      header.keyId = this.keyId;
+    }
+
+    await this._atomicWriteFile(headerPath, JSON.stringify(header, null, 2));
+  }
+
   /**
    * Initialize WAL encryption salt and key with proper error handling
    */
@@ -113,7 +724,7 @@ class SlimCryptDB {
         this.walSalt = crypto.randomBytes(32);
         // Save salt for future use (only if encryption is enabled)
         if (this.options.encrypt) {
-          await fs.writeFile(saltPath, this.walSalt);
+          await this._atomicWriteFile(saltPath, this.walSalt);
         }
       } else {
         throw error;
@@ -175,7 +786,7 @@ class SlimCryptDB {
   /**
    * Encrypt data using AES-256-GCM with authenticated encryption and strict validation
    */
-  _encryptData(data) {
+  _encryptData(data, key = this.encryptionKey, aad = null) {
     if (!this.options.encrypt) {
       return JSON.stringify(data);
     }
@@ -183,11 +794,10 @@ class SlimCryptDB {
     try {
       const plaintext = JSON.stringify(data);
       const iv = crypto.randomBytes(16); // Unique IV for each encryption
-      const cipher = crypto.createCipheriv(
-        'aes-256-gcm',
-        this.encryptionKey,
-        iv
-      );
+      const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+      if (aad) {
+        cipher.setAAD(Buffer.from(aad));
+      }
 
       let ciphertext = cipher.update(plaintext, 'utf8');
       ciphertext = Buffer.concat([ciphertext, cipher.final()]);
@@ -199,8 +809,10 @@ class SlimCryptDB {
         throw new Error(`Invalid authentication tag length: ${authTag.length}`);
       }
 
-      // Format: iv:authTag:ciphertext (all hex encoded)
+      // Format: [v2:]iv:authTag:ciphertext (all hex encoded), where the
+      // version prefix marks ciphertext bound to additional data
       return (
+        (aad ? `v${FORMAT_VERSION}:` : '') +
         iv.toString('hex') +
         ':' +
         authTag.toString('hex') +
@@ -215,7 +827,7 @@ class SlimCryptDB {
   /**
    * Decrypt data using AES-256-GCM with strict authentication verification
    */
-  _decryptData(encryptedData) {
+  _decryptData(encryptedData, key = this.encryptionKey, aad = null) {
     if (!this.options.encrypt) {
       try {
         return JSON.parse(encryptedData);
@@ -226,6 +838,8 @@ class SlimCryptDB {
 
     try {
       const parts = encryptedData.split(':');
+      const bound = parts[0] === `v${FORMAT_VERSION}`;
+      if (bound) parts.shift();
       if (parts.length !== 3) {
         throw new Error('Invalid encrypted data format');
       }
@@ -247,11 +861,20 @@ class SlimCryptDB {
         throw new Error('Empty ciphertext');
       }
 
-      const decipher = crypto.createDecipheriv(
-        'aes-256-gcm',
-        this.encryptionKey,
-        iv
-      );
+      if (bound && !aad) {
+        throw new Error('Missing additional authenticated data');
+      }
+      if (!bound && aad && this.catalog.requireAAD) {
+        // Written before binding, or downgraded to dodge the binding
+        throw new IntegrityError(
+          'Authentication failed: data is not bound to its file'
+        );
+      }
+
+      const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+      if (bound) {
+        decipher.setAAD(Buffer.from(aad));
+      }
       decipher.setAuthTag(authTag);
 
       let plaintext;
@@ -268,7 +891,9 @@ class SlimCryptDB {
           error.message.includes('auth') ||
           error.code === 'ERR_CRYPTO_AUTH_FAILED'
         ) {
-          throw new Error(`Authentication failed: data has been tampered with`);
+          throw new IntegrityError(
+            'Authentication failed: data has been tampered with'
+          );
         }
         throw new Error(`Decryption failed: ${error.message}`);
       }
@@ -278,136 +903,212 @@ class SlimCryptDB {
       try {
         return JSON.parse(plaintextStr);
       } catch (jsonError) {
-        throw new Error(
-          `Authentication failed: decrypted data is not valid JSON`
+        throw new IntegrityError(
+          'Authentication failed: decrypted data is not valid JSON'
         );
       }
     } catch (error) {
       // Ensure authentication failures are properly categorized
-      if (error.message.includes('Authentication failed')) {
+      if (error instanceof IntegrityError) {
         throw error;
       }
-      throw new Error(`Decryption failed: ${error.message}`);
+      throw new IntegrityError(`Decryption failed: ${error.message}`);
     }
   }
 
   /**
-   * Encrypt WAL data with consistent key handling
+   * Additional authenticated data binding ciphertext to the role and name
+   * of its file, so a file copied or renamed over another fails to decrypt
    */
-  _encryptWALData(data) {
-    if (!this.options.walEnabled || !this.options.encrypt) {
-      return JSON.stringify(data);
-    }
+  _getAAD(role, name) {
+    return `slimcryptdb:v${FORMAT_VERSION}:${role}:${name}`;
+  }
 
-    if (!this.walEncrypted || !this.walKey || !this.walSalt) {
-      throw new Error(
-        'WAL encryption not properly initialized - cannot write unencrypted data'
-      );
+  /**
+   * Wrap a table's data key with the master key. The table name is bound
+   * as additional authenticated data, so a wrapped key cannot be moved to
+   * another table's catalog entry.
+   */
+  async _wrapDataKey(dataKey, tableName, masterKey = this.encryptionKey) {
+    if (this.keyProvider && this.keyProvider.wrapKey) {
+      return this.keyProvider.wrapKey(dataKey, { tableName });
     }
+    return wrapKeyMaterial(masterKey, dataKey, `data-key:${tableName}`);
+  }
 
-    try {
-      // Convert data object to JSON string
-      const plaintext = JSON.stringify(data);
-
-      // Use the cached WAL key (don't re-derive during encryption)
-      const walKey = this.walKey;
-      if (!walKey) {
-        throw new Error('WAL key not available during encryption');
+  async _unwrapDataKey(wrappedKey, tableName) {
+    if (this.keyProvider && this.keyProvider.unwrapKey) {
+      const dataKey = await this.keyProvider.unwrapKey(wrappedKey, {
+        tableName,
+      });
+      if (!Buffer.isBuffer(dataKey) || dataKey.length !== 32) {
+        throw new Error(
+          `Key provider returned an invalid data key for table ${tableName}`
+        );
       }
+      return Buffer.from(dataKey);
+    }
 
-      // Create unique IV for this encryption
-      const iv = crypto.randomBytes(16);
+    try {
+      return unwrapKeyMaterial(
+        this.encryptionKey,
+        wrappedKey,
+        `data-key:${tableName}`
+      );
+    } catch (error) {
+      throw new IntegrityError(
+        `Cannot unwrap the data key of table ${tableName}: ${error.message}`
+      );
+    }
+  }
 
-      // Convert JSON string to Buffer and apply padding
-      const plaintextBuffer = Buffer.from(plaintext, 'utf8');
-      const paddedBuffer = this._applyWALPaddingBuffer(plaintextBuffer);
+  /**
+   * Key used for a table's file and indexes: its own data key, or the
+   * master key for tables created before data keys existed
+   */
+  async _getTableKey(tableName) {
+    const entry = this.catalog.tables[tableName];
+    if (!this.options.encrypt || !entry || !entry.dataKey) {
+      return this.encryptionKey;
+    }
 
-      // Create cipher with GCM mode
-      const cipher = crypto.createCipheriv('aes-256-gcm', walKey, iv);
+    if (!this.dataKeys.has(tableName)) {
+      const dataKey = await this._unwrapDataKey(entry.dataKey, tableName);
+      this.dataKeys.set(tableName, dataKey);
+    }
+    return this.dataKeys.get(tableName);
+  }
 
-      // Encrypt the padded buffer
-      let ciphertext = cipher.update(paddedBuffer);
-      ciphertext = Buffer.concat([ciphertext, cipher.final()]);
+  /**
+   * Generate a data key for a new table and return it wrapped for the
+   * catalog (null when encryption is disabled)
+   */
+  async _createDataKey(tableName) {
+    if (!this.options.encrypt) return null;
 
-      // Get authentication tag
-      const authTag = cipher.getAuthTag();
+    const dataKey = this._generateSecureKey();
+    this._forgetDataKey(tableName);
+    this.dataKeys.set(tableName, dataKey);
+    return this._wrapDataKey(dataKey, tableName);
+  }
 
-      // Format: WAL:iv:authTag:ciphertext (all hex encoded with WAL prefix)
-      return (
-        'WAL:' +
-        iv.toString('hex') +
-        ':' +
-        authTag.toString('hex') +
-        ':' +
-        ciphertext.toString('hex')
-      );
-    } catch (error) {
-      throw new Error(`WAL encryption failed: ${error.message}`);
+  _forgetDataKey(tableName) {
+    const dataKey = this.dataKeys.get(tableName);
+    if (dataKey) {
+      dataKey.fill(0);
+      this.dataKeys.delete(tableName);
     }
   }
 
   /**
-   * Decrypt WAL data with consistent key handling
+   * Seal a WAL entry in a container. Encrypted entries are padded to hide
+   * their size.
    */
-  _decryptWALData(encryptedData) {
+  _encryptWALData(data) {
+    const plaintext = Buffer.from(JSON.stringify(data), 'utf8');
     if (!this.options.encrypt) {
-      try {
-        return JSON.parse(encryptedData);
-      } catch {
-        throw new Error('Invalid unencrypted WAL data format');
-      }
+      return this._sealContainer(plaintext, null, null, 'none');
+    }
+
+    if (!this.walEncrypted || !this.walKey || !this.walSalt) {
+      throw new Error(
+        'WAL encryption not properly initialized - cannot write unencrypted data'
+      );
     }
 
     try {
-      // Check for WAL prefix
-      if (!encryptedData.startsWith('WAL:')) {
-        // Handle legacy unencrypted WAL files
-        try {
-          return JSON.parse(encryptedData);
-        } catch {
-          throw new Error('Invalid WAL data format');
-        }
-      }
+      return this._sealContainer(
+        this._applyWALPaddingBuffer(plaintext),
+        this.walKey,
+        null,
+        'none'
+      );
+    } catch (error) {
+      throw new Error(`WAL encryption failed: ${error.message}`);
+    }
+  }
 
-      if (!this.walEncrypted || !this.walKey) {
+  /**
+   * Decrypt a WAL record: a container, or a line of text written before
+   * the container existed
+   */
+  _decryptWALData(record) {
+    try {
+      const container = parseContainer(record);
+      if (!container) {
+        return this._decryptLegacyWALData(record.toString());
+      }
+      if (container.cipher !== 'none' && !this.walKey) {
         throw new Error('Cannot decrypt WAL data: encryption not initialized');
       }
 
-      // Parse WAL format
-      const walData = encryptedData.substring(4); // Remove 'WAL:' prefix
-      const parts = walData.split(':');
-      if (parts.length !== 3) {
-        throw new Error('Invalid encrypted WAL data format');
+      let plaintext = this._openContainer(container, this.walKey);
+      if (container.cipher !== 'none') {
+        plaintext = this._removeWALPaddingBuffer(plaintext);
       }
+      return JSON.parse(plaintext.toString('utf8'));
+    } catch (error) {
+      throw new Error(`WAL decryption failed: ${error.message}`);
+    }
+  }
 
-      // Extract components
-      const iv = Buffer.from(parts[0], 'hex');
-      const authTag = Buffer.from(parts[1], 'hex');
-      const ciphertext = Buffer.from(parts[2], 'hex');
-
-      // Use the cached WAL key (don't re-derive during decryption)
-      const walKey = this.walKey;
-      if (!walKey) {
-        throw new Error('WAL key not available during decryption');
+  /**
+   * Decrypt a legacy `WAL:iv:authTag:ciphertext` line
+   */
+  _decryptLegacyWALData(encryptedData) {
+    if (!this.options.encrypt || !encryptedData.startsWith('WAL:')) {
+      // Unencrypted entries are plain JSON
+      try {
+        return JSON.parse(encryptedData);
+      } catch {
+        throw new Error('Invalid WAL data format');
       }
+    }
 
-      // Create decipher
-      const decipher = crypto.createDecipheriv('aes-256-gcm', walKey, iv);
-      decipher.setAuthTag(authTag);
+    if (!this.walEncrypted || !this.walKey) {
+      throw new Error('Cannot decrypt WAL data: encryption not initialized');
+    }
 
-      // Decrypt to get padded buffer
-      let paddedBuffer = decipher.update(ciphertext);
-      paddedBuffer = Buffer.concat([paddedBuffer, decipher.final()]);
+    const parts = encryptedData.substring(4).split(':');
+    if (parts.length !== 3) {
+      throw new Error('Invalid encrypted WAL data format');
+    }
 
-      // Remove padding
-      const plaintextBuffer = this._removeWALPaddingBuffer(paddedBuffer);
+    const decipher = crypto.createDecipheriv(
+      'aes-256-gcm',
+      this.walKey,
+      Buffer.from(parts[0], 'hex')
+    );
+    decipher.setAuthTag(Buffer.from(parts[1], 'hex'));
+    const paddedBuffer = Buffer.concat([
+      decipher.update(Buffer.from(parts[2], 'hex')),
+      decipher.final(),
+    ]);
+    return JSON.parse(
+      this._removeWALPaddingBuffer(paddedBuffer).toString('utf8')
+    );
+  }
 
-      // Convert buffer back to string and parse JSON
-      const plaintext = plaintextBuffer.toString('utf8');
-      return JSON.parse(plaintext);
-    } catch (error) {
-      throw new Error(`WAL decryption failed: ${error.message}`);
+  /**
+   * Split a WAL segment into records. Each record is a container prefixed
+   * with its length; segments written before the container existed hold
+   * one entry per line.
+   */
+  async _readWALRecords(walPath) {
+    const data = await fs.readFile(walPath);
+    if (!data.subarray(4, 4 + FILE_MAGIC.length).equals(FILE_MAGIC)) {
+      return data.toString('utf8').trim().split('\n').filter(Boolean);
+    }
+
+    const records = [];
+    let offset = 0;
+    while (offset < data.length) {
+      // A torn final record is returned short and fails to decrypt
+      const length = offset + 4 <= data.length ? data.readUInt32BE(offset) : 0;
+      records.push(data.subarray(offset + 4, offset + 4 + length));
+      offset += 4 + length;
     }
+    return records;
   }
 
   /**
@@ -461,51 +1162,9 @@ class SlimCryptDB {
   }
 
   /**
-   * Compress data using gzip (applied AFTER encryption)
-   */
-  async _compressData(data) {
-    if (!this.options.compression) return data;
-
-    try {
-      if (typeof data === 'string') {
-        return await gzip(Buffer.from(data, 'utf8'));
-      } else if (Buffer.isBuffer(data)) {
-        return await gzip(data);
-      }
-      return data;
-    } catch (error) {
-      // If compression fails, return original data
-      console.warn(
-        'Compression failed, using uncompressed data:',
-        error.message
-      );
-      return data;
-    }
-  }
-
-  /**
-   * Decompress data using gunzip (applied BEFORE decryption)
-   */
-  async _decompressData(compressedData) {
-    if (!this.options.compression) return compressedData;
-
-    try {
-      if (Buffer.isBuffer(compressedData)) {
-        const decompressed = await gunzip(compressedData);
-        return decompressed.toString('utf8');
-      }
-      return compressedData;
-    } catch (error) {
-      // If decompression fails, assume data is not compressed
-      if (Buffer.isBuffer(compressedData)) {
-        return compressedData.toString('utf8');
-      }
-      return compressedData;
-    }
-  }
-
-  /**
-   * Write-Ahead Logging implementation
+   * Write-Ahead Logging implementation. Data changes are logged as logical
+   * row operations (insert, update, delete) with before/after images, and
+   * the entry's sequence number is returned so the table write can record it.
    */
   async _writeWAL(operation) {
     if (!this.options.walEnabled || this.isClosed) return;
@@ -521,32 +1180,56 @@ class SlimCryptDB {
     };
 
     this.walBuffer.push(walEntry);
+    this.pendingWALSequences.add(walEntry.sequence);
 
     if (this.options.syncWrites) {
       await this._flushWAL();
     }
 
     // Trigger checkpoint if WAL size exceeds limit
-    if (this.walBuffer.length * 1000 > this.options.maxWalSize) {
-      setImmediate(() => this._checkpoint());
+    const walSize = this.walSegments.reduce(
+      (size, segment) => size + segment.size,
+      this.walBuffer.length * 1000
+    );
+    if (walSize > this.options.maxWalSize) {
+      setImmediate(() => this._checkpoint().catch(console.error));
     }
+
+    return walEntry.sequence;
   }
 
   /**
-   * Flush WAL buffer to disk
+   * Flush WAL buffer to disk. Entries are appended to the active segment,
+   * which is named after the first sequence it holds.
    */
   async _flushWAL() {
     if (this.walBuffer.length === 0 || this.isClosed) return;
 
-    const walFile = path.join(this.databaseDir, 'wal', `wal-${Date.now()}.log`);
-
-    // Encrypt each WAL entry individually to maintain entry boundaries
-    const encryptedEntries = this.walBuffer.map((entry) => {
-      const encryptedEntry = this._encryptWALData(entry);
-      return encryptedEntry;
-    });
+    const entries = this.walBuffer;
+    this.walBuffer = [];
 
-    const walData = encryptedEntries.join('\n') + '\n';
+    if (!this.activeWALSegment) {
+      this.activeWALSegment = {
+        file: this._getWALSegmentName(entries[0].sequence),
+        firstSequence: entries[0].sequence,
+        lastSequence: 0,
+        size: 0,
+        writes: 0, // Appends in flight
+      };
+      this.walSegments.push(this.activeWALSegment);
+    }
+    const segment = this.activeWALSegment;
+    const walFile = path.join(this.databaseDir, 'wal', segment.file);
+
+    // Seal each WAL entry individually, framed by its length
+    const walData = Buffer.concat(
+      entries.flatMap((entry) => {
+        const record = this._encryptWALData(entry);
+        const length = Buffer.alloc(4);
+        length.writeUInt32BE(record.length);
+        return [length, record];
+      })
+    );
 
     // Initialize the file directory if it doesn't exist
     try {
@@ -555,8 +1238,94 @@ class SlimCryptDB {
       // Directory already exists
     }
 
-    await fs.writeFile(walFile, walData, { flag: 'a' });
-    this.walBuffer = [];
+    // Entries are fsynced before the flush returns, so a commit marker is
+    // durable before any table is promoted
+    const created = segment.size === 0;
+    segment.writes++;
+    try {
+      const handle = await fs.open(walFile, 'a');
+      try {
+        await handle.writeFile(walData);
+        await handle.sync();
+      } finally {
+        await handle.close();
+      }
+      if (created) {
+        await this._syncDirectory(path.dirname(walFile));
+      }
+    } finally {
+      segment.writes--;
+    }
+    segment.lastSequence = Math.max(
+      segment.lastSequence,
+      entries[entries.length - 1].sequence
+    );
+    segment.size += walData.length;
+  }
+
+  /**
+   * WAL segment file name, zero-padded so names sort by sequence
+   */
+  _getWALSegmentName(firstSequence) {
+    return `wal-${String(firstSequence).padStart(16, '0')}.log`;
+  }
+
+  /**
+   * Order WAL files for replay: timestamp-named files from older versions
+   * first, then segments by their first sequence
+   */
+  _sortWALFiles(files) {
+    const isSegment = (file) => /^wal-\d{16}\.log$/.test(file);
+    const logFiles = files.filter((file) => file.endsWith('.log'));
+
+    return [
+      ...logFiles.filter((file) => !isSegment(file)).sort(),
+      ...logFiles.filter(isSegment).sort(),
+    ];
+  }
+
+  /**
+   * Mark a logged operation as written to its table file
+   */
+  _markWALApplied(sequence) {
+    this.pendingWALSequences.delete(sequence);
+  }
+
+  _getWALControlPath() {
+    return path.join(this.databaseDir, 'wal', 'control');
+  }
+
+  /**
+   * Load the checkpoint LSN so recovery can skip checkpointed entries and
+   * sequence numbers continue where the previous process stopped
+   */
+  async _loadWALControl() {
+    try {
+      const control = JSON.parse(
+        await fs.readFile(this._getWALControlPath(), 'utf8')
+      );
+      this.checkpointLSN = control.checkpointLSN || 0;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(
+          `[WAL] Ignoring unreadable control file: ${error.message}`
+        );
+      }
+      this.checkpointLSN = 0;
+    }
+
+    this.walSequence = Math.max(this.walSequence, this.checkpointLSN);
+  }
+
+  /**
+   * Durably record the checkpoint LSN
+   */
+  async _saveWALControl(checkpointLSN) {
+    await this._atomicWriteFile(
+      this._getWALControlPath(),
+      JSON.stringify({ version: 1, checkpointLSN, updated: Date.now() })
+    );
+    this.checkpointLSN = checkpointLSN;
   }
 
   /**
@@ -574,6 +1343,14 @@ class SlimCryptDB {
     const recoveryFailures = [];
     let recoveredEntries = 0;
 
+    // Tables touched during recovery are kept in memory and written once
+    const recovery = {
+      tables: new Map(),
+      transactions: new Map(), // Logged changes awaiting a commit marker
+      catalogChanged: false,
+    };
+    let maxSequence = this.walSequence;
+
     // Check if WAL directory exists
     try {
       await fs.access(walDir);
@@ -582,33 +1359,36 @@ class SlimCryptDB {
       return;
     }
 
-    const walFiles = await fs.readdir(walDir);
-    const logFiles = walFiles.filter((file) => file.endsWith('.log')).sort();
+    const logFiles = this._sortWALFiles(await fs.readdir(walDir));
 
     for (const walFile of logFiles) {
-      if (walFile === '.salt') continue;
-
       const walPath = path.join(walDir, walFile);
+      const failuresBefore = recoveryFailures.length;
 
       try {
-        const walContent = await fs.readFile(walPath, 'utf8');
-        const walEntries = walContent.trim().split('\n').filter(Boolean);
+        const records = await this._readWALRecords(walPath);
 
-        for (const entryLine of walEntries) {
+        for (const record of records) {
           try {
             // Decrypt WAL entry
-            const walEntry = this._decryptWALData(entryLine);
-            await this._applyWALEntry(walEntry);
+            const walEntry = this._decryptWALData(record);
+            maxSequence = Math.max(maxSequence, walEntry.sequence || 0);
+
+            // Already durable in table files as of the last checkpoint
+            if (walEntry.sequence <= this.checkpointLSN) continue;
+
+            await this._applyWALEntry(walEntry, recovery);
             recoveredEntries++;
           } catch (error) {
             // Log and track failed WAL entry
             console.warn(
               `[WAL RECOVERY] Failed to process entry in ${walFile}: ${error.message}`
             );
+            const preview =
+              typeof record === 'string' ? record : record.toString('hex');
             recoveryFailures.push({
               file: walFile,
-              entry:
-                entryLine.slice(0, 80) + (entryLine.length > 80 ? '...' : ''),
+              entry: preview.slice(0, 80) + (preview.length > 80 ? '...' : ''),
               error: error.message,
             });
           }
@@ -623,8 +1403,31 @@ class SlimCryptDB {
           error: error.message,
         });
       }
+
+      // Segments with failures are kept for inspection rather than truncated
+      if (recoveryFailures.length === failuresBefore) {
+        this.recoveredWALSegments.push(walFile);
+      }
     }
 
+    if (recovery.transactions.size > 0) {
+      console.warn(
+        `[WAL RECOVERY] Discarded ${recovery.transactions.size} uncommitted transaction(s)`
+      );
+    }
+
+    for (const [tableName, table] of recovery.tables) {
+      if (table && table.dirty) {
+        await this._writeDataDirect(tableName, table.rows, table.lastSequence);
+      }
+    }
+    if (recovery.catalogChanged) {
+      await this._saveCatalog();
+    }
+
+    // Continue numbering after every sequence already in the log
+    this.walSequence = maxSequence;
+
     // Summary report for audit and testing
     if (recoveryFailures.length > 0) {
       console.warn(
@@ -647,10 +1450,12 @@ class SlimCryptDB {
   }
 
   /**
-   * Apply WAL entry during recovery
+   * Apply WAL entry during recovery. Entries at or below a table's recorded
+   * sequence are already in its file and are skipped, so replay is idempotent.
    */
-  async _applyWALEntry(walEntry) {
-    const { operation } = walEntry;
+  async _applyWALEntry(walEntry, recovery) {
+    const { operation, sequence } = walEntry;
+    const { tableName } = operation;
 
     // Verify checksum
     if (this._calculateChecksum(operation) !== walEntry.checksum) {
@@ -659,15 +1464,133 @@ class SlimCryptDB {
 
     // Apply operation based on type
     switch (operation.type) {
-      case 'write':
-        await this._writeDataDirect(operation.tableName, operation.data);
+      case 'create_table': {
+        if (!this.catalog.tables[tableName]) {
+          // A table file without an entry predates data keys
+          const legacy = this.tableExists(tableName);
+          this._addCatalogEntry(tableName, operation.schema, {
+            created: operation.created,
+            options: operation.options,
+            dataKey: legacy ? null : await this._createDataKey(tableName),
+            file:
+              !legacy && this._usesOpaqueFileNames()
+                ? this._getOpaqueFileName('table', tableName)
+                : null,
+          });
+          recovery.catalogChanged = true;
+        }
+        const table = await this._getRecoveryTable(recovery, tableName);
+        if (!table) {
+          recovery.tables.set(tableName, {
+            rows: [],
+            lastSequence: sequence,
+            dirty: true,
+          });
+        }
+        break;
+      }
+      case 'delete_table': {
+        const table = await this._getRecoveryTable(recovery, tableName);
+        // A newer table of the same name must survive the replay
+        if (table && table.lastSequence >= sequence) break;
+
+        await this._deleteTableDirect(tableName);
+        this._removeCatalogEntry(tableName);
+        recovery.tables.set(tableName, null);
+        recovery.catalogChanged = true;
+        break;
+      }
+      case 'write': {
+        // Legacy whole-table snapshot written before row-level logging
+        const table = (await this._getRecoveryTable(recovery, tableName)) || {
+          rows: [],
+          lastSequence: 0,
+        };
+        if (table.lastSequence >= sequence) break;
+
+        recovery.tables.set(tableName, {
+          rows: operation.data,
+          lastSequence: sequence,
+          dirty: true,
+        });
         break;
-      case 'create_table':
-        await this._createTableDirect(operation.tableName, operation.schema);
+      }
+      case 'begin':
+        recovery.transactions.set(operation.transactionId, []);
+        break;
+      case 'commit': {
+        const entries =
+          recovery.transactions.get(operation.transactionId) || [];
+        recovery.transactions.delete(operation.transactionId);
+
+        for (const entry of entries) {
+          await this._applyRecoveredRowOperation(entry, recovery);
+        }
         break;
-      case 'delete_table':
-        await this._deleteTableDirect(operation.tableName);
+      }
+      case 'insert':
+      case 'update':
+      case 'delete': {
+        const { transactionId } = operation;
+        if (!transactionId) {
+          await this._applyRecoveredRowOperation(walEntry, recovery);
+          break;
+        }
+
+        // Held back until the transaction's commit marker is replayed
+        if (!recovery.transactions.has(transactionId)) {
+          recovery.transactions.set(transactionId, []);
+        }
+        recovery.transactions.get(transactionId).push(walEntry);
         break;
+      }
+    }
+  }
+
+  async _applyRecoveredRowOperation(walEntry, recovery) {
+    const { operation, sequence } = walEntry;
+    const table = await this._getRecoveryTable(recovery, operation.tableName);
+    if (!table || table.lastSequence >= sequence) return;
+
+    this._applyRowOperation(table.rows, operation);
+    table.lastSequence = sequence;
+    table.dirty = true;
+  }
+
+  /**
+   * Load a table into the recovery state (null when it does not exist)
+   */
+  async _getRecoveryTable(recovery, tableName) {
+    if (!recovery.tables.has(tableName)) {
+      try {
+        const tableData = await this._readTableFile(tableName);
+        recovery.tables.set(tableName, {
+          rows: tableData.rows || [],
+          lastSequence: tableData.lastSequence || 0,
+          dirty: false,
+        });
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        recovery.tables.set(tableName, null);
+      }
+    }
+
+    return recovery.tables.get(tableName);
+  }
+
+  /**
+   * Apply a logged row operation to table rows. Inserts and updates are
+   * upserts of the after image, so applying an entry twice is harmless.
+   */
+  _applyRowOperation(rows, operation) {
+    const index = rows.findIndex((row) => row.id === operation.id);
+
+    if (operation.type === 'delete') {
+      if (index !== -1) rows.splice(index, 1);
+    } else if (index === -1) {
+      rows.push(operation.after);
+    } else {
+      rows[index] = operation.after;
     }
   }
 
@@ -682,36 +1605,57 @@ class SlimCryptDB {
   }
 
   /**
-   * Checkpoint: Apply WAL entries and clean up
+   * Checkpoint: make applied changes durable in table files, record the
+   * checkpoint LSN and truncate WAL segments at or below it
    */
   async _checkpoint() {
-    if (this.isCheckpointing || this.isClosed) return;
-    this.isCheckpointing = true;
+    if (this.isClosed || !this.isInitialized) return;
 
-    try {
-      await this._flushWAL();
+    if (!this.checkpointPromise) {
+      this.checkpointPromise = this._runCheckpoint().finally(() => {
+        this.checkpointPromise = null;
+      });
+    }
 
-      // Clean up old WAL files
-      const walDir = path.join(this.databaseDir, 'wal');
-      const walFiles = await fs.readdir(walDir);
-      const cutoffTime = Date.now() - 24 * 60 * 60 * 1000; // 24 hours
+    return this.checkpointPromise;
+  }
 
-      for (const walFile of walFiles) {
-        if (walFile === '.salt') continue;
+  async _runCheckpoint() {
+    if (!this.options.walEnabled) return;
 
-        const filePath = path.join(walDir, walFile);
+    await this._flushWAL();
+    await this._retryUnappliedCommits();
 
-        try {
-          const stats = await fs.stat(filePath);
-          if (stats.mtime.getTime() < cutoffTime) {
-            await fs.unlink(filePath);
-          }
-        } catch (error) {
-          // File might have been deleted already
-        }
+    // Everything below the oldest operation still in flight has been applied
+    const pending = [...this.pendingWALSequences];
+    const checkpointLSN =
+      pending.length > 0 ? Math.min(...pending) - 1 : this.walSequence;
+
+    // Start a new segment so the current one can be truncated later
+    this.activeWALSegment = null;
+
+    // Table files are fsynced as they are written, so the LSN can be recorded
+    if (checkpointLSN > this.checkpointLSN) {
+      await this._saveWALControl(checkpointLSN);
+    }
+
+    const walDir = path.join(this.databaseDir, 'wal');
+    const truncatable = this.recoveredWALSegments;
+    this.recoveredWALSegments = [];
+
+    this.walSegments = this.walSegments.filter((segment) => {
+      if (segment === this.activeWALSegment || segment.writes > 0) return true;
+      if (segment.lastSequence > this.checkpointLSN) return true;
+      truncatable.push(segment.file);
+      return false;
+    });
+
+    for (const walFile of truncatable) {
+      try {
+        await fs.unlink(path.join(walDir, walFile));
+      } catch (error) {
+        // File might have been deleted already
       }
-    } finally {
-      this.isCheckpointing = false;
     }
   }
 
@@ -731,93 +1675,491 @@ class SlimCryptDB {
   /**
    * Schema validation using JSON Schema
    */
-  _validateSchema(tableName, data) {
-    const schema = this.schemas.get(tableName);
+  _validateSchema(tableName, data, stored = null) {
+    let schema = this.schemas.get(tableName);
     if (!schema) return true;
 
+    // Sealed values kept from the stored row were validated before they
+    // were encrypted; anything else is validated like any other value
+    const sealable = this._getSubjectField(tableName)
+      ? Object.keys((data && schema.properties) || {})
+      : this._getEncryptedFields(tableName);
+    const sealed = sealable.filter(
+      (field) => data && isKeptSealed(data[field], stored, field)
+    );
+    if (sealed.length > 0) {
+      schema = { ...schema, properties: { ...schema.properties } };
+      for (const field of sealed) {
+        schema.properties[field] = {};
+      }
+    }
+
+    // The generated record id is allowed even when the schema omits it
+    if (data && 'id' in data && !(schema.properties && schema.properties.id)) {
+      // eslint-disable-next-line no-unused-vars
+      const { id, ...rest } = data;
+      return this._validateDataAgainstSchema(rest, schema);
+    }
+
     return this._validateDataAgainstSchema(data, schema);
   }
 
   /**
-   * Basic JSON schema validation
+   * JSON schema validation. Every violation is collected with its JSON path
+   * and reported together in a single SchemaValidationError.
    */
   _validateDataAgainstSchema(data, schema) {
-    if (schema.type === 'array' && Array.isArray(data)) {
-      // set array type as an object if schema type is array
-      schema.type = 'object';
-    }
-    if (schema.type && typeof data !== schema.type) {
-      throw new Error(
-        `Type mismatch: expected ${schema.type}, got ${typeof data}: ${JSON.stringify(data)}`
-      );
-    }
-
-    if (schema.properties) {
-      for (const [key, propSchema] of Object.entries(schema.properties)) {
-        if (
-          schema.required &&
-          schema.required.includes(key) &&
-          !(key in data)
-        ) {
-          throw new Error(`Missing required property: ${key}`);
-        }
-        if (key in data) {
-          this._validateDataAgainstSchema(data[key], propSchema);
-        }
-      }
+    const errors = this._collectSchemaErrors(data, schema, '$', []);
+    if (errors.length > 0) {
+      throw new SchemaValidationError(errors);
     }
 
     return true;
   }
 
-  /**
-   * Create table with optional schema
-   */
-  async createTable(tableName, schema = null) {
-    if (this.tableExists(tableName)) {
-      throw new Error(`Table ${tableName} already exists`);
-    }
+  _collectSchemaErrors(data, schema, jsonPath, errors) {
+    if (!schema || typeof schema !== 'object') return errors;
 
-    const tableData = {
-      name: tableName,
-      schema,
-      rows: [],
-      created: Date.now(),
-      version: 1,
-    };
+    const addError = (message) => errors.push({ path: jsonPath, message });
 
-    if (schema) {
-      this.schemas.set(tableName, schema);
+    if (schema.type !== undefined) {
+      const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+      if (!types.some((type) => this._matchesSchemaType(data, type))) {
+        addError(
+          `Type mismatch: expected ${types.join(' or ')}, got ${this._getSchemaType(data)}`
+        );
+        // Keyword checks below assume the declared type
+        return errors;
+      }
     }
 
-    await this._writeWAL({
-      type: 'create_table',
-      tableName,
-      schema,
-    });
+    if (Array.isArray(schema.enum)) {
+      const serialized = JSON.stringify(data);
+      if (!schema.enum.some((value) => JSON.stringify(value) === serialized)) {
+        addError(
+          `Value ${JSON.stringify(data)} is not one of ${JSON.stringify(schema.enum)}`
+        );
+      }
+    }
 
-    await this._createTableDirect(tableName, tableData);
+    if (typeof data === 'string') {
+      const length = Array.from(data).length;
+      if (schema.minLength !== undefined && length < schema.minLength) {
+        addError(`String is shorter than minLength ${schema.minLength}`);
+      }
+      if (schema.maxLength !== undefined && length > schema.maxLength) {
+        addError(`String is longer than maxLength ${schema.maxLength}`);
+      }
+      if (
+        schema.pattern !== undefined &&
+        !new RegExp(schema.pattern, 'u').test(data)
+      ) {
+        addError(`String does not match pattern ${schema.pattern}`);
+      }
+      if (
+        schema.format !== undefined &&
+        !this._matchesSchemaFormat(data, schema.format)
+      ) {
+        addError(`String is not a valid ${schema.format}`);
+      }
+    }
 
-    this.eventEmitter.emit('createTable', tableName, tableData);
+    if (typeof data === 'number') {
+      if (schema.minimum !== undefined && data < schema.minimum) {
+        addError(`Number is less than minimum ${schema.minimum}`);
+      }
+      if (schema.maximum !== undefined && data > schema.maximum) {
+        addError(`Number is greater than maximum ${schema.maximum}`);
+      }
+    }
 
-    // Create default index on 'id' field if schema specifies it
-    if (schema && schema.properties && schema.properties.id) {
-      await this.createIndex(tableName, 'id_idx', ['id']);
+    if (Array.isArray(data) && schema.items) {
+      data.forEach((item, i) => {
+        const itemSchema = Array.isArray(schema.items)
+          ? schema.items[i]
+          : schema.items;
+        this._collectSchemaErrors(
+          item,
+          itemSchema,
+          `${jsonPath}[${i}]`,
+          errors
+        );
+      });
     }
-  }
 
-  async _createTableDirect(tableName, tableData) {
-    const filePath = path.join(this.databaseDir, `${tableName}.db`);
+    if (this._getSchemaType(data) === 'object') {
+      const properties = schema.properties || {};
 
-    // Encrypt first, then compress
-    let data = this._encryptData(tableData);
+      for (const key of schema.required || []) {
+        if (!(key in data)) {
+          addError(`Missing required property: ${key}`);
+        }
+      }
 
-    if (this.options.compression) {
-      data = await this._compressData(data);
+      for (const [key, value] of Object.entries(data)) {
+        const propertyPath = `${jsonPath}.${key}`;
+
+        if (key in properties) {
+          this._collectSchemaErrors(
+            value,
+            properties[key],
+            propertyPath,
+            errors
+          );
+        } else if (schema.additionalProperties === false) {
+          errors.push({
+            path: propertyPath,
+            message: `Additional property not allowed: ${key}`,
+          });
+        } else if (typeof schema.additionalProperties === 'object') {
+          this._collectSchemaErrors(
+            value,
+            schema.additionalProperties,
+            propertyPath,
+            errors
+          );
+        }
+      }
     }
 
-    await fs.writeFile(filePath, data);
-  }
+    if (Array.isArray(schema.allOf)) {
+      for (const subschema of schema.allOf) {
+        this._collectSchemaErrors(data, subschema, jsonPath, errors);
+      }
+    }
+
+    if (Array.isArray(schema.anyOf)) {
+      const matches = schema.anyOf.filter(
+        (subschema) =>
+          this._collectSchemaErrors(data, subschema, jsonPath, []).length === 0
+      );
+      if (matches.length === 0) {
+        addError('Value does not match any schema in anyOf');
+      }
+    }
+
+    if (Array.isArray(schema.oneOf)) {
+      const matches = schema.oneOf.filter(
+        (subschema) =>
+          this._collectSchemaErrors(data, subschema, jsonPath, []).length === 0
+      );
+      if (matches.length !== 1) {
+        addError(
+          `Value matches ${matches.length} schemas in oneOf, expected exactly 1`
+        );
+      }
+    }
+
+    return errors;
+  }
+
+  _getSchemaType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+  }
+
+  _matchesSchemaType(value, type) {
+    switch (type) {
+      case 'integer':
+        return Number.isInteger(value);
+      case 'number':
+        return typeof value === 'number' && Number.isFinite(value);
+      default:
+        return this._getSchemaType(value) === type;
+    }
+  }
+
+  _matchesSchemaFormat(value, format) {
+    switch (format) {
+      case 'email':
+        return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value);
+      case 'date':
+        return /^\d{4}-\d{2}-\d{2}$/.test(value) && isCalendarDate(value);
+      case 'date-time':
+        return (
+          /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/i.test(
+            value
+          ) &&
+          !isNaN(Date.parse(value)) &&
+          isCalendarDate(value)
+        );
+      case 'uri':
+        try {
+          return Boolean(new URL(value).protocol);
+        } catch {
+          return false;
+        }
+      case 'uuid':
+        return /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(
+          value
+        );
+      case 'ipv4':
+        return net.isIPv4(value);
+      case 'ipv6':
+        return net.isIPv6(value);
+      default:
+        // Unknown formats are annotations only
+        return true;
+    }
+  }
+
+  /**
+   * Load the encrypted table catalog
+   */
+  async _loadCatalog() {
+    let data;
+    try {
+      data = await fs.readFile(this._getCatalogPath());
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+
+    const catalog = await this._decodeData(
+      data,
+      this.encryptionKey,
+      this._getCatalogAAD()
+    );
+    if (
+      catalog.requireAAD &&
+      this.options.encrypt &&
+      !(await isBoundData(data))
+    ) {
+      throw new IntegrityError(
+        'Authentication failed: catalog is not bound to its file'
+      );
+    }
+    this.catalog = { version: 1, ...catalog, tables: catalog.tables || {} };
+    if (!this.options.cipher && this.catalog.cipher) {
+      this.options.cipher = this.catalog.cipher;
+    }
+
+    for (const [tableName, entry] of Object.entries(this.catalog.tables)) {
+      if (entry.schema) {
+        this.schemas.set(tableName, entry.schema);
+      }
+    }
+    return data;
+  }
+
+  /**
+   * Persist the catalog (compress first, then encrypt). Saves are chained
+   * so that an older snapshot never replaces a newer one.
+   */
+  async _saveCatalog() {
+    const save = (this.catalogSave || Promise.resolve())
+      .catch(() => {})
+      .then(async () => {
+        // The catalog is recorded in the manifest like table files
+        if (this.manifest) {
+          this.catalog.manifest = true;
+          this.catalog.generation = this._nextGeneration();
+        }
+        const data = await this._encodeData(
+          this.catalog,
+          this.encryptionKey,
+          this._getCatalogAAD()
+        );
+        await this._atomicWriteFile(this._getCatalogPath(), data);
+        if (this.manifest) {
+          this._recordFile(CATALOG_FILE, this.catalog.generation, data);
+          await this._saveManifest();
+        }
+      });
+    this.catalogSave = save;
+    await save;
+  }
+
+  _getCatalogPath() {
+    return path.join(this.databaseDir, CATALOG_FILE);
+  }
+
+  _getCatalogAAD() {
+    return this._getAAD('catalog', CATALOG_FILE);
+  }
+
+  _addCatalogEntry(
+    tableName,
+    schema,
+    { created, options, dataKey, file } = {}
+  ) {
+    this.catalog.tables[tableName] = {
+      schema: schema || null,
+      created: created || Date.now(),
+      version: 1,
+      indexes: {},
+      options: options || {},
+    };
+    if (dataKey) {
+      // Wrapped by the master key
+      this.catalog.tables[tableName].dataKey = dataKey;
+    }
+    if (file) {
+      this.catalog.tables[tableName].file = file;
+    }
+
+    if (schema) {
+      this.schemas.set(tableName, schema);
+    }
+  }
+
+  _removeCatalogEntry(tableName) {
+    delete this.catalog.tables[tableName];
+    this.schemas.delete(tableName);
+    this._forgetDataKey(tableName);
+  }
+
+  /**
+   * Bring the catalog in line with the table files on disk. Tables created
+   * before the catalog existed are registered using their table file header.
+   */
+  async _reconcileCatalog() {
+    let changed = false;
+
+    const known = new Set(
+      Object.keys(this.catalog.tables).map((name) => this._getTableFile(name))
+    );
+    const files = await fs.readdir(this.databaseDir);
+    for (const file of files.filter((f) => f.endsWith('.db'))) {
+      const tableName = file.slice(0, -'.db'.length);
+      if (known.has(file) || this.catalog.tables[tableName]) continue;
+      if (this.catalog.opaqueFileNames && OPAQUE_FILE_NAME.test(file)) {
+        // Its name and data key went with its catalog entry
+        console.warn(`[CATALOG] Ignoring unknown table file ${file}`);
+        continue;
+      }
+
+      let tableData = {};
+      try {
+        tableData = await this._readTableFile(tableName);
+      } catch (error) {
+        console.warn(
+          `[CATALOG] Registering unreadable table ${tableName}: ${error.message}`
+        );
+      }
+
+      this._addCatalogEntry(tableName, tableData.schema, {
+        created: tableData.created,
+      });
+      changed = true;
+    }
+
+    for (const tableName of Object.keys(this.catalog.tables)) {
+      if (!this.tableExists(tableName)) {
+        this._removeCatalogEntry(tableName);
+        changed = true;
+      }
+    }
+
+    if (changed) {
+      await this._saveCatalog();
+    }
+  }
+
+  /**
+   * List the names of all tables in the catalog
+   */
+  listTables() {
+    return Object.keys(this.catalog.tables).sort();
+  }
+
+  /**
+   * Describe a table: schema, creation time, version, indexes and options
+   */
+  describeTable(tableName) {
+    const entry = this.catalog.tables[tableName];
+    if (!entry) {
+      throw new Error(`Table ${tableName} does not exist`);
+    }
+
+    return {
+      name: tableName,
+      schema: entry.schema,
+      created: entry.created,
+      version: entry.version,
+      options: { ...entry.options },
+      indexes: Object.entries(entry.indexes).map(([name, index]) => ({
+        name,
+        columns: index.columns,
+        type: index.type,
+        unique: index.unique,
+      })),
+    };
+  }
+
+  /**
+   * Create table with optional schema
+   */
+  async createTable(tableName, schema = null, options = {}) {
+    if (this.tableExists(tableName)) {
+      throw new Error(`Table ${tableName} already exists`);
+    }
+    if (options.subjectField && !this.options.encrypt) {
+      throw new Error('subjectField requires encryption');
+    }
+
+    const tableData = {
+      name: tableName,
+      schema,
+      rows: [],
+      created: Date.now(),
+      version: 1,
+    };
+
+    const sequence = await this._writeWAL({
+      type: 'create_table',
+      tableName,
+      schema,
+      options,
+      created: tableData.created,
+    });
+
+    // The catalog holds the table's data key, so it is saved before the
+    // table file is written with that key
+    this._addCatalogEntry(tableName, schema, {
+      created: tableData.created,
+      options,
+      dataKey: await this._createDataKey(tableName),
+      file: this._usesOpaqueFileNames()
+        ? this._getOpaqueFileName('table', tableName)
+        : null,
+    });
+    await this._saveCatalog();
+
+    await this._createTableDirect(tableName, {
+      ...tableData,
+      lastSequence: sequence || 0,
+    });
+    this._markWALApplied(sequence);
+
+    this._bumpTableVersion(tableName);
+    this.eventEmitter.emit('createTable', tableName, tableData);
+
+    // Create default index on 'id' field if schema specifies it
+    if (schema && schema.properties && schema.properties.id) {
+      await this.createIndex(tableName, 'id_idx', ['id']);
+    }
+  }
+
+  async _createTableDirect(tableName, tableData) {
+    const file = this._getTableFile(tableName);
+    const filePath = path.join(this.databaseDir, file);
+    const generation = this._nextGeneration();
+    const data = await this._encodeData(
+      { ...tableData, generation },
+      await this._getTableKey(tableName),
+      this._getAAD('table', tableName)
+    );
+
+    await this._atomicWriteFile(filePath, data, {
+      keepPrevious: this.options.keepPreviousGeneration,
+    });
+    this._recordFile(file, generation, data, {
+      keepPrevious: this.options.keepPreviousGeneration,
+    });
+    await this._saveManifest();
+  }
 
   /**
    * Delete a table and all its data
@@ -827,28 +2169,37 @@ class SlimCryptDB {
       throw new Error(`Table ${tableName} does not exist`);
     }
 
-    await this._writeWAL({
+    const sequence = await this._writeWAL({
       type: 'delete_table',
       tableName,
     });
 
     await this._deleteTableDirect(tableName);
 
-    // Remove from schemas
-    this.schemas.delete(tableName);
-
-    // Remove related indexes
+    // Remove related indexes while the catalog still maps their files
     for (const [indexName, index] of this.indexes) {
       if (index.tableName === tableName) {
         this.indexes.delete(indexName);
+        await this._deleteIndexFile(indexName);
       }
     }
 
+    // Removing the catalog entry discards the table's data key, so copies
+    // of its files can no longer be decrypted without an older catalog
+    this._removeCatalogEntry(tableName);
+    await this._saveCatalog();
+    this._markWALApplied(sequence);
+
+    // Truncate the WAL segments that still hold the table's rows
+    await this._checkpoint();
+
+    this._bumpTableVersion(tableName);
     this.eventEmitter.emit('deleteTable', tableName);
   }
 
   async _deleteTableDirect(tableName) {
-    const filePath = path.join(this.databaseDir, `${tableName}.db`);
+    const file = this._getTableFile(tableName);
+    const filePath = path.join(this.databaseDir, file);
     try {
       await fs.unlink(filePath);
     } catch (error) {
@@ -856,42 +2207,69 @@ class SlimCryptDB {
         throw error;
       }
     }
+    await fs.rm(`${filePath}.prev`, { force: true });
+
+    this._forgetFile(file);
+    await this._saveManifest();
   }
 
   /**
    * Enhanced indexing system
    */
   async createIndex(tableName, indexName, columns, options = {}) {
-    const indexType = options.type || 'btree'; // btree or hash
+    const indexType = options.type || 'btree'; // btree, hash or blind
     const isUnique = options.unique || false;
 
-    const data = await this.readData(tableName, {});
-    const index = new Map();
-
-    for (const item of data) {
-      const indexKey = this._buildIndexKey(item, columns);
-
-      if (isUnique && index.has(indexKey)) {
+    if (indexType === 'blind') {
+      if (!this.fieldKey) {
         throw new Error(
-          `Duplicate key violation for unique index: ${indexKey}`
+          `A fieldKey is required to create blind index ${indexName}`
         );
       }
-
-      if (!index.has(indexKey)) {
-        index.set(indexKey, []);
+    } else {
+      // An index of sealed values cannot answer queries on plaintext
+      const subjectField = this._getSubjectField(tableName);
+      const encrypted = subjectField
+        ? columns.filter((field) => !['id', subjectField].includes(field))
+        : this._getEncryptedFields(tableName).filter((field) =>
+            columns.includes(field)
+          );
+      if (encrypted.length > 0) {
+        throw new Error(
+          `Cannot index encrypted field ${encrypted[0]} of table ${tableName}: use a blind index`
+        );
       }
-      index.get(indexKey).push(item.id || item);
     }
 
-    this.indexes.set(indexName, {
+    const definition = {
       tableName,
       columns,
       type: indexType,
       unique: isUnique,
-      data: index,
-    });
+    };
+    const data = await this._readRows(tableName, {});
+    const index = this._buildIndexData(data, definition);
+
+    this.indexes.set(indexName, { ...definition, data: index });
+
+    // Record the index in the catalog, which maps it to its file, then
+    // persist it to disk. A missing index file is rebuilt on open.
+    const entry = this.catalog.tables[tableName];
+    if (entry) {
+      entry.indexes[indexName] = {
+        columns,
+        type: indexType,
+        unique: isUnique,
+      };
+      if (this._usesOpaqueFileNames()) {
+        entry.indexes[indexName].file = this._getOpaqueFileName(
+          'index',
+          indexName
+        );
+      }
+      await this._saveCatalog();
+    }
 
-    // Persist index to disk
     await this._saveIndex(indexName);
 
     this.eventEmitter.emit('createIndex', tableName, indexName);
@@ -905,20 +2283,16 @@ class SlimCryptDB {
       throw new Error(`Index ${indexName} does not exist`);
     }
 
+    const { tableName } = this.indexes.get(indexName);
     this.indexes.delete(indexName);
 
     // Remove index file
-    const indexPath = path.join(
-      this.databaseDir,
-      'indexes',
-      `${indexName}.idx`
-    );
-    try {
-      await fs.unlink(indexPath);
-    } catch (error) {
-      if (error.code !== 'ENOENT') {
-        throw error;
-      }
+    await this._deleteIndexFile(indexName);
+
+    const entry = this.catalog.tables[tableName];
+    if (entry && entry.indexes[indexName]) {
+      delete entry.indexes[indexName];
+      await this._saveCatalog();
     }
   }
 
@@ -926,123 +2300,600 @@ class SlimCryptDB {
     return columns.map((col) => item[col]).join('::');
   }
 
-  async _saveIndex(indexName) {
-    const index = this.indexes.get(indexName);
-    if (!index) return;
+  /**
+   * Key of a stored row in an index. Blind indexes key rows by an HMAC of
+   * their decrypted values, so index files hold no plaintext.
+   */
+  _getIndexKey(index, row) {
+    if (index.type !== 'blind') {
+      return this._buildIndexKey(row, index.columns);
+    }
 
-    const indexPath = path.join(
-      this.databaseDir,
-      'indexes',
-      `${indexName}.idx`
+    const [revealed] = this._revealFields(index.tableName, [row]);
+    return this._getBlindIndexKey(
+      index,
+      this._buildIndexKey(revealed, index.columns)
     );
-    const indexData = {
-      ...index,
-      data: Array.from(index.data.entries()),
-    };
+  }
 
-    // Encrypt first, then compress
-    let data = this._encryptData(indexData);
-    if (this.options.compression) {
-      data = await this._compressData(data);
+  /**
+   * HMAC of an index key, keyed by a key derived from the field key and
+   * bound to the index's table and columns
+   */
+  _getBlindIndexKey(index, indexKey) {
+    if (!this.fieldKey) {
+      throw new Error(
+        `A fieldKey is required to use the blind index on ${index.tableName}`
+      );
     }
 
-    await fs.writeFile(indexPath, data);
+    const blindKey = Buffer.from(
+      crypto.hkdfSync(
+        'sha256',
+        this.fieldKey,
+        '',
+        'slimcryptdb:blind-index',
+        32
+      )
+    );
+    return crypto
+      .createHmac('sha256', blindKey)
+      .update(JSON.stringify([index.tableName, index.columns, indexKey]))
+      .digest('hex');
   }
 
   /**
-   * Enhanced transaction support with isolation
+   * Build index entries (key -> ids) from table rows
    */
-  async startTransaction(isolationLevel = 'READ_COMMITTED') {
-    const transactionId = crypto.randomBytes(16).toString('hex');
-
-    this.transactions.set(transactionId, {
-      id: transactionId,
-      operations: [],
-      isolationLevel,
-      startTime: Date.now(),
-      locks: new Set(),
-      snapshot: new Map(), // For REPEATABLE_READ isolation
-    });
-
-    return transactionId;
-  }
+  _buildIndexData(rows, index) {
+    const data = new Map();
 
-  async commitTransaction(transactionId) {
-    const transaction = this.transactions.get(transactionId);
-    if (!transaction) {
-      throw new Error(`Transaction ${transactionId} not found`);
-    }
+    for (const item of rows) {
+      const indexKey = this._getIndexKey(index, item);
 
-    try {
-      // Apply all operations atomically
-      for (const operation of transaction.operations) {
-        await this._applyOperation(operation);
+      if (index.unique && data.has(indexKey)) {
+        throw new Error(
+          `Duplicate key violation for unique index: ${indexKey}`
+        );
       }
 
-      // Release locks
-      for (const tableName of transaction.locks) {
-        this._releaseLock(tableName, transactionId);
+      if (!data.has(indexKey)) {
+        data.set(indexKey, []);
       }
-
-      this.transactions.delete(transactionId);
-      this.eventEmitter.emit('commitTransaction', transactionId);
-    } catch (error) {
-      await this.rollbackTransaction(transactionId);
-      throw error;
+      data.get(indexKey).push(item.id || item);
     }
+
+    return data;
   }
 
-  async rollbackTransaction(transactionId) {
-    const transaction = this.transactions.get(transactionId);
-    if (!transaction) return;
+  /**
+   * Compare two index entry maps, ignoring the order of ids per key
+   */
+  _indexDataEquals(a, b) {
+    if (a.size !== b.size) return false;
 
-    // Release locks
-    for (const tableName of transaction.locks) {
-      this._releaseLock(tableName, transactionId);
+    for (const [key, ids] of a) {
+      const otherIds = b.get(key);
+      if (!otherIds || otherIds.length !== ids.length) return false;
+
+      const sortedIds = ids.map(String).sort();
+      const sortedOtherIds = otherIds.map(String).sort();
+      if (sortedIds.some((id, i) => id !== sortedOtherIds[i])) return false;
     }
 
-    this.transactions.delete(transactionId);
-    this.eventEmitter.emit('rollbackTransaction', transactionId);
+    return true;
   }
 
   /**
-   * Enhanced CRUD operations with validation and indexing
+   * Load the indexes recorded in the catalog, verifying each against its
+   * table and rebuilding it when the index file is stale, corrupt or missing
    */
-  async addData(tableName, data, transactionId = null) {
-    await this.ensureInitialized(); // Ensure initialization before any data operations
-
-    if (!transactionId) {
-      transactionId = await this.startTransaction();
+  async _loadIndexes() {
+    await this._adoptLegacyIndexes();
 
-      try {
-        const result = await this.addData(tableName, data, transactionId);
-        await this.commitTransaction(transactionId);
-        return result;
-      } catch (error) {
-        await this.rollbackTransaction(transactionId);
-        throw error;
-      }
-    }
+    const tableRows = new Map();
 
-    // Schema validation
-    this._validateSchema(tableName, data);
+    for (const [tableName, entry] of Object.entries(this.catalog.tables)) {
+      for (const [indexName, definition] of Object.entries(entry.indexes)) {
+        // Without the field key, blind indexes are left out and verified
+        // against the table on the next open with the key
+        if (definition.type === 'blind' && !this.fieldKey) continue;
+
+        let index = null;
+        try {
+          index = await this._readIndexFile(indexName, tableName);
+        } catch (error) {
+          console.warn(
+            `[INDEX LOAD] Index ${indexName} is unreadable and will be rebuilt: ${error.message}`
+          );
+        }
+
+        if (!tableRows.has(tableName)) {
+          try {
+            tableRows.set(tableName, await this._readRows(tableName));
+          } catch (error) {
+            console.warn(
+              `[INDEX LOAD] Cannot verify indexes of ${tableName}: ${error.message}`
+            );
+            tableRows.set(tableName, null);
+          }
+        }
+
+        const rows = tableRows.get(tableName);
+        if (!rows) {
+          // Table unreadable - keep the persisted index unverified
+          if (index) {
+            this.indexes.set(indexName, index);
+          }
+          continue;
+        }
+
+        let rebuilt;
+        try {
+          rebuilt = this._buildIndexData(rows, { tableName, ...definition });
+        } catch (error) {
+          console.warn(
+            `[INDEX LOAD] Cannot rebuild index ${indexName}: ${error.message}`
+          );
+          continue;
+        }
+
+        this.indexes.set(indexName, {
+          tableName,
+          ...definition,
+          data: rebuilt,
+        });
+
+        if (!index || !this._indexDataEquals(index.data, rebuilt)) {
+          console.warn(`[INDEX LOAD] Rebuilt stale index ${indexName}`);
+          await this._saveIndex(indexName);
+        }
+      }
+    }
+  }
+
+  /**
+   * Record index files that are not yet in the catalog (databases created
+   * before the catalog existed) and remove those of deleted tables
+   */
+  async _adoptLegacyIndexes() {
+    const known = new Set();
+    for (const entry of Object.values(this.catalog.tables)) {
+      for (const indexName of Object.keys(entry.indexes)) {
+        known.add(`${indexName}.idx`);
+        known.add(path.basename(this._getIndexFile(indexName)));
+      }
+    }
+
+    const files = await fs.readdir(path.join(this.databaseDir, 'indexes'));
+    let changed = false;
+
+    for (const file of files.filter((f) => f.endsWith('.idx')).sort()) {
+      const indexName = file.slice(0, -'.idx'.length);
+      if (known.has(file)) continue;
+
+      let index;
+      try {
+        index = await this._readIndexFile(indexName);
+      } catch (error) {
+        console.warn(
+          `[INDEX LOAD] Skipping unreadable index ${indexName}: ${error.message}`
+        );
+        continue;
+      }
+
+      const entry = this.catalog.tables[index.tableName];
+      if (!entry) {
+        // Orphaned index of a deleted table
+        await this._deleteIndexFile(indexName);
+        continue;
+      }
+
+      entry.indexes[indexName] = {
+        columns: index.columns,
+        type: index.type,
+        unique: index.unique,
+      };
+      changed = true;
+    }
+
+    if (changed) {
+      await this._saveCatalog();
+    }
+  }
+
+  /**
+   * Read an index file, encrypted with its table's data key. Index files
+   * not yet in the catalog predate data keys and AAD, and use the master
+   * key.
+   */
+  async _readIndexFile(indexName, tableName = null) {
+    const file = this._getIndexFile(indexName);
+    const raw = await fs.readFile(path.join(this.databaseDir, file));
+    const indexData = await this._decodeData(
+      raw,
+      await this._getTableKey(tableName),
+      tableName ? this._getIndexAAD(tableName, indexName) : null
+    );
+    if (!indexData.tableName || !Array.isArray(indexData.columns)) {
+      throw new Error('Invalid index definition');
+    }
+    if (tableName) {
+      await this._verifyFileGeneration(file, raw, indexData.generation);
+    }
+
+    return { ...indexData, data: new Map(indexData.data || []) };
+  }
+
+  _getIndexAAD(tableName, indexName) {
+    return this._getAAD('index', `${tableName}:${indexName}`);
+  }
+
+  /**
+   * Path of a table file relative to the database directory. Tables
+   * created with opaqueFileNames are mapped to their file in the catalog.
+   */
+  _getTableFile(tableName) {
+    const entry = this.catalog.tables[tableName];
+    return (entry && entry.file) || `${tableName}.db`;
+  }
+
+  _getIndexFile(indexName) {
+    for (const entry of Object.values(this.catalog.tables)) {
+      const definition = entry.indexes[indexName];
+      if (definition && definition.file) {
+        return path.join('indexes', definition.file);
+      }
+    }
+    return path.join('indexes', `${indexName}.idx`);
+  }
+
+  _usesOpaqueFileNames() {
+    return (
+      this.options.encrypt &&
+      Boolean(this.options.opaqueFileNames || this.catalog.opaqueFileNames)
+    );
+  }
+
+  /**
+   * File name derived with an HMAC of the table or index name, keyed by
+   * a key derived from the master key
+   */
+  _getOpaqueFileName(role, name) {
+    const nameKey = Buffer.from(
+      crypto.hkdfSync(
+        'sha256',
+        this.encryptionKey,
+        '',
+        'slimcryptdb:file-names',
+        32
+      )
+    );
+    const id = crypto
+      .createHmac('sha256', nameKey)
+      .update(`${role}:${name}`)
+      .digest('hex')
+      .slice(0, 32);
+    return `${id}.${role === 'table' ? 'db' : 'idx'}`;
+  }
+
+  /**
+   * Give every table and index an opaque file name once the option is
+   * enabled. The catalog and manifest are saved before files are renamed,
+   * so renames interrupted by a crash are finished on the next open.
+   */
+  async _migrateFileNames() {
+    if (!this.options.encrypt) return;
+
+    let changed = false;
+    if (this.options.opaqueFileNames && !this.catalog.opaqueFileNames) {
+      // Later opens keep hiding new names without the option
+      this.catalog.opaqueFileNames = true;
+      changed = true;
+    }
+
+    const renames = [];
+    for (const [tableName, entry] of Object.entries(this.catalog.tables)) {
+      if (!entry.file && this.catalog.opaqueFileNames) {
+        entry.file = this._getOpaqueFileName('table', tableName);
+        changed = true;
+      }
+      if (entry.file) {
+        renames.push([`${tableName}.db`, entry.file]);
+      }
+
+      for (const [indexName, definition] of Object.entries(entry.indexes)) {
+        if (!definition.file && this.catalog.opaqueFileNames) {
+          definition.file = this._getOpaqueFileName('index', indexName);
+          changed = true;
+        }
+        if (definition.file) {
+          renames.push([
+            path.join('indexes', `${indexName}.idx`),
+            path.join('indexes', definition.file),
+          ]);
+        }
+      }
+    }
+
+    const pending = renames.filter(
+      ([from, to]) =>
+        fsSync.existsSync(path.join(this.databaseDir, from)) &&
+        !fsSync.existsSync(path.join(this.databaseDir, to))
+    );
+    if (changed) {
+      await this._saveCatalog();
+    }
+    if (pending.length === 0) return;
+
+    if (this.manifest) {
+      for (const [from, to] of pending) {
+        for (const suffix of ['', '.prev']) {
+          if (this.manifest.files[from + suffix]) {
+            this.manifest.files[to + suffix] =
+              this.manifest.files[from + suffix];
+            delete this.manifest.files[from + suffix];
+          }
+        }
+      }
+      await this._saveManifest();
+    }
+
+    for (const [from, to] of pending) {
+      const source = path.join(this.databaseDir, from);
+      const target = path.join(this.databaseDir, to);
+      if (fsSync.existsSync(`${source}.prev`)) {
+        await fs.rename(`${source}.prev`, `${target}.prev`);
+      }
+      await fs.rename(source, target);
+    }
+    await this._syncDirectory(this.databaseDir);
+    await this._syncDirectory(path.join(this.databaseDir, 'indexes'));
+  }
+
+  async _deleteIndexFile(indexName) {
+    const file = this._getIndexFile(indexName);
+    try {
+      await fs.unlink(path.join(this.databaseDir, file));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+
+    this._forgetFile(file);
+    await this._saveManifest();
+  }
+
+  /**
+   * Rebuild the in-memory indexes of the given tables from their stored
+   * rows. Tables that cannot be read keep their current indexes.
+   */
+  async _rebuildIndexesForTables(tableNames) {
+    for (const tableName of tableNames) {
+      let rows;
+      try {
+        rows = await this._readRows(tableName, {});
+      } catch (error) {
+        console.warn(
+          `[INDEX] Cannot rebuild indexes of ${tableName}: ${error.message}`
+        );
+        continue;
+      }
+
+      for (const index of this.indexes.values()) {
+        if (index.tableName === tableName) {
+          index.data = this._buildIndexData(rows, index);
+        }
+      }
+    }
+  }
+
+  /**
+   * Persist every index belonging to the given tables
+   */
+  async _saveIndexesForTables(tableNames) {
+    for (const [indexName, index] of this.indexes) {
+      if (tableNames.has(index.tableName)) {
+        await this._saveIndex(indexName);
+      }
+    }
+  }
+
+  async _saveIndex(indexName) {
+    const index = this.indexes.get(indexName);
+    if (!index) return;
+
+    const file = this._getIndexFile(indexName);
+    const indexData = {
+      ...index,
+      data: Array.from(index.data.entries()),
+      generation: this._nextGeneration(),
+    };
+
+    const data = await this._encodeData(
+      indexData,
+      await this._getTableKey(index.tableName),
+      this._getIndexAAD(index.tableName, indexName)
+    );
+    await this._atomicWriteFile(path.join(this.databaseDir, file), data);
+    this._recordFile(file, indexData.generation, data);
+    await this._saveManifest();
+  }
+
+  /**
+   * Enhanced transaction support with isolation
+   */
+  async startTransaction(isolationLevel = 'READ_COMMITTED') {
+    if (!ISOLATION_LEVELS.includes(isolationLevel)) {
+      throw new Error(`Unsupported isolation level: ${isolationLevel}`);
+    }
+
+    const transactionId = crypto.randomBytes(16).toString('hex');
+
+    this.transactions.set(transactionId, {
+      id: transactionId,
+      operations: [],
+      isolationLevel,
+      startTime: Date.now(),
+      locks: new Set(),
+      snapshot: new Map(), // For REPEATABLE_READ and SERIALIZABLE isolation
+      tableVersions: new Map(), // Table versions when first used
+    });
+
+    return transactionId;
+  }
+
+  async commitTransaction(transactionId) {
+    const transaction = this.transactions.get(transactionId);
+    if (!transaction) {
+      throw new Error(`Transaction ${transactionId} not found`);
+    }
+
+    try {
+      // Validate and claim the new table versions without yielding, so
+      // concurrent commits are checked against each other
+      this._validateIsolation(transaction);
+      for (const operation of transaction.operations) {
+        this._bumpTableVersion(operation.tableName);
+      }
+
+      // Apply all operations atomically
+      await this._commitOperations(transactionId, transaction.operations);
+
+      // Persist index changes made by this transaction
+      const tableNames = new Set(
+        transaction.operations.map((operation) => operation.tableName)
+      );
+      await this._saveIndexesForTables(tableNames);
+
+      // Release locks
+      for (const tableName of transaction.locks) {
+        this._releaseLock(tableName, transactionId);
+      }
+
+      this.transactions.delete(transactionId);
+      this.eventEmitter.emit('commitTransaction', transactionId);
+    } catch (error) {
+      if (error instanceof CommitNotAppliedError) {
+        // Committed changes must not be rolled back; the tables stay
+        // locked until a checkpoint manages to apply them
+        const commit = this.unappliedCommits.get(transactionId);
+        for (const tableName of transaction.locks) {
+          commit.locks.add(tableName);
+        }
+        this.transactions.delete(transactionId);
+        throw error;
+      }
+      await this.rollbackTransaction(transactionId);
+      throw error;
+    }
+  }
+
+  async rollbackTransaction(transactionId) {
+    const transaction = this.transactions.get(transactionId);
+    if (!transaction) return;
+
+    // Indexes were updated as operations were queued, so rebuild them
+    // from the committed rows before other transactions can see them
+    const tableNames = new Set(
+      transaction.operations.map((operation) => operation.tableName)
+    );
+    await this._rebuildIndexesForTables(tableNames);
+
+    // Release locks
+    for (const tableName of transaction.locks) {
+      this._releaseLock(tableName, transactionId);
+    }
+
+    this.transactions.delete(transactionId);
+    this.eventEmitter.emit('rollbackTransaction', transactionId);
+  }
+
+  /**
+   * Check that no table this transaction relies on was changed by another
+   * commit: the written tables for REPEATABLE_READ (lost updates), every
+   * table read or written for SERIALIZABLE
+   */
+  _validateIsolation(transaction) {
+    const { isolationLevel } = transaction;
+    if (!['REPEATABLE_READ', 'SERIALIZABLE'].includes(isolationLevel)) return;
+
+    const tableNames =
+      isolationLevel === 'SERIALIZABLE'
+        ? transaction.tableVersions.keys()
+        : new Set(transaction.operations.map((op) => op.tableName));
+
+    for (const tableName of tableNames) {
+      if (
+        transaction.tableVersions.get(tableName) !==
+        this._getTableVersion(tableName)
+      ) {
+        throw new SerializationError(transaction.id, tableName);
+      }
+    }
+  }
+
+  /**
+   * Remember the version of a table when a transaction first uses it
+   */
+  _recordTableAccess(transaction, tableName) {
+    if (!transaction.tableVersions.has(tableName)) {
+      transaction.tableVersions.set(
+        tableName,
+        this._getTableVersion(tableName)
+      );
+    }
+  }
+
+  _getTableVersion(tableName) {
+    return this.tableVersions.get(tableName) || 0;
+  }
+
+  _bumpTableVersion(tableName) {
+    this.tableVersions.set(tableName, this._getTableVersion(tableName) + 1);
+  }
+
+  /**
+   * Enhanced CRUD operations with validation and indexing
+   */
+  async addData(tableName, data, transactionId = null) {
+    await this.ensureInitialized(); // Ensure initialization before any data operations
+
+    if (!transactionId) {
+      transactionId = await this.startTransaction();
+
+      try {
+        const result = await this.addData(tableName, data, transactionId);
+        await this.commitTransaction(transactionId);
+        return result;
+      } catch (error) {
+        await this.rollbackTransaction(transactionId);
+        throw error;
+      }
+    }
+
+    // Schema validation
+    this._validateSchema(tableName, data);
 
     // Generate ID if not present
     if (!data.id) {
       data.id = crypto.randomBytes(16).toString('hex');
     }
+    const row = await this._sealFields(tableName, data);
 
     const transaction = this.transactions.get(transactionId);
     await this._acquireLock(tableName, transactionId);
+    this._recordTableAccess(transaction, tableName);
 
     transaction.operations.push({
       type: 'add',
       tableName,
-      data: { ...data },
+      data: row,
     });
 
     // Update indexes
-    await this._updateIndexesForAdd(tableName, data);
+    await this._updateIndexesForAdd(tableName, row);
 
     this.eventEmitter.emit('add', tableName, data);
     return data;
@@ -1072,27 +2923,22 @@ class SlimCryptDB {
       }
     }
 
-    // Schema validation for update data
-    if (this.schemas.has(tableName)) {
-      this._validateSchema(tableName, updateData);
-    }
-
     const transaction = this.transactions.get(transactionId);
     await this._acquireLock(tableName, transactionId);
+    this._recordTableAccess(transaction, tableName);
+
+    // Read existing data, including this transaction's pending changes.
+    // The filter sees decrypted fields, the log keeps them sealed.
+    const existingData = await this._readRows(tableName, {}, transactionId);
+    const revealed = this._revealFields(tableName, existingData);
+    const recordsToUpdate = existingData.filter((item, i) =>
+      matchesQuery(revealed[i], filter)
+    );
 
-    // Read existing data
-    const existingData = await this.readData(tableName, {});
-    const recordsToUpdate = existingData.filter((item) => {
-      return Object.entries(filter).every(([key, value]) => {
-        if (value instanceof RegExp) {
-          return value.test(item[key]);
-        }
-        return item[key] === value;
-      });
-    });
-
-    // Update each matching record
-    for (const record of recordsToUpdate) {
+    // Subject values are resealed, in case the row moves to another subject
+    const opened = this._openSubjects(tableName, recordsToUpdate);
+    const updatedRecords = [];
+    for (const [i, record] of opened.entries()) {
       const updatedRecord = { ...record, ...updateData };
 
       // Ensure ID is preserved
@@ -1100,6 +2946,19 @@ class SlimCryptDB {
         updatedRecord.id = record.id;
       }
 
+      // Validate the full record, so partial updates are accepted
+      this._validateSchema(tableName, updatedRecord, record);
+      updatedRecords[i] = await this._sealFields(
+        tableName,
+        updatedRecord,
+        record
+      );
+    }
+
+    // Update each matching record
+    for (const [i, record] of recordsToUpdate.entries()) {
+      const updatedRecord = updatedRecords[i];
+
       transaction.operations.push({
         type: 'update',
         tableName,
@@ -1137,17 +2996,15 @@ class SlimCryptDB {
 
     const transaction = this.transactions.get(transactionId);
     await this._acquireLock(tableName, transactionId);
-
-    // Read existing data
-    const existingData = await this.readData(tableName, {});
-    const recordsToDelete = existingData.filter((item) => {
-      return Object.entries(filter).every(([key, value]) => {
-        if (value instanceof RegExp) {
-          return value.test(item[key]);
-        }
-        return item[key] === value;
-      });
-    });
+    this._recordTableAccess(transaction, tableName);
+
+    // Read existing data, including this transaction's pending changes.
+    // The filter sees decrypted fields, the log keeps them sealed.
+    const existingData = await this._readRows(tableName, {}, transactionId);
+    const revealed = this._revealFields(tableName, existingData);
+    const recordsToDelete = existingData.filter((item, i) =>
+      matchesQuery(revealed[i], filter)
+    );
 
     // Add delete operation for each record
     for (const record of recordsToDelete) {
@@ -1169,7 +3026,7 @@ class SlimCryptDB {
   async _updateIndexesForAdd(tableName, data) {
     for (const [indexName, index] of this.indexes) {
       if (index.tableName === tableName) {
-        const indexKey = this._buildIndexKey(data, index.columns);
+        const indexKey = this._getIndexKey(index, data);
 
         if (index.unique && index.data.has(indexKey)) {
           throw new Error(`Unique constraint violation for index ${indexName}`);
@@ -1188,9 +3045,12 @@ class SlimCryptDB {
    */
   async _updateIndexesForUpdate(tableName, oldData, newData) {
     for (const [indexName, index] of this.indexes) {
-      if (index.tableName === tableName) {
-        const oldKey = this._buildIndexKey(oldData, index.columns);
-        const newKey = this._buildIndexKey(newData, index.columns);
+      if (
+        index.tableName === tableName &&
+        index.columns.some((column) => oldData[column] !== newData[column])
+      ) {
+        const oldKey = this._getIndexKey(index, oldData);
+        const newKey = this._getIndexKey(index, newData);
 
         // If the index key has changed
         if (oldKey !== newKey) {
@@ -1236,7 +3096,7 @@ class SlimCryptDB {
     // eslint-disable-next-line no-unused-vars
     for (const [indexName, index] of this.indexes) {
       if (index.tableName === tableName) {
-        const key = this._buildIndexKey(data, index.columns);
+        const key = this._getIndexKey(index, data);
 
         // Remove from index
         if (index.data.has(key)) {
@@ -1258,15 +3118,15 @@ class SlimCryptDB {
   /**
    * Enhanced query system with index utilization
    */
-  async queryData(tableName, query = {}) {
+  async queryData(tableName, query = {}, transactionId = null) {
     const { filter, sort, limit, offset, join } = query;
 
     // Try to use indexes for filtering
-    let data = await this._getDataWithIndex(tableName, filter);
+    let data = await this._getDataWithIndex(tableName, filter, transactionId);
 
     if (!data) {
       // Fall back to full table scan
-      data = await this.readData(tableName, {});
+      data = await this.readData(tableName, {}, transactionId);
     }
 
     // Apply additional filters
@@ -1276,7 +3136,7 @@ class SlimCryptDB {
 
     // Apply joins
     if (join) {
-      data = await this._applyJoin(data, join);
+      data = await this._applyJoin(data, join, transactionId);
     }
 
     // Apply sorting
@@ -1295,16 +3155,33 @@ class SlimCryptDB {
   }
 
   tableExists(tableName) {
-    const filePath = path.join(this.databaseDir, `${tableName}.db`);
+    const filePath = path.join(this.databaseDir, this._getTableFile(tableName));
     return fsSync.existsSync(filePath);
   }
 
-  async _getDataWithIndex(tableName, filter) {
+  async _getDataWithIndex(tableName, filter, transactionId = null) {
     if (!filter || !filter.conditions) return null;
 
+    // Indexes already reflect uncommitted changes, and committed ones a
+    // snapshot may predate, so scan the table instead
+    if (
+      this._hasPendingOperations(tableName) ||
+      this._readsSnapshot(transactionId)
+    ) {
+      return null;
+    }
+
     // eslint-disable-next-line no-unused-vars
     for (const [indexName, index] of this.indexes) {
       if (index.tableName === tableName) {
+        if (index.type === 'blind') {
+          const ids = this._getBlindIndexIds(index, filter);
+          if (!ids) continue;
+
+          const allData = await this.readData(tableName, {}, transactionId);
+          return allData.filter((item) => ids.has(item.id));
+        }
+
         const condition = filter.conditions.find(
           (c) => index.columns.includes(c.column) && c.operator === '=='
         );
@@ -1314,7 +3191,7 @@ class SlimCryptDB {
           const ids = index.data.get(indexKey) || [];
 
           // Fetch full records
-          const allData = await this.readData(tableName, {});
+          const allData = await this.readData(tableName, {}, transactionId);
           return allData.filter((item) => ids.includes(item.id));
         }
       }
@@ -1323,6 +3200,37 @@ class SlimCryptDB {
     return null;
   }
 
+  /**
+   * Ids of rows matching an `==` or `in` condition of an `and` filter on
+   * a single-column blind index, or null if the index cannot answer it
+   */
+  _getBlindIndexIds(index, filter) {
+    if (!this.fieldKey || index.columns.length !== 1) return null;
+    if (filter.operator !== 'and' && filter.conditions.length > 1) return null;
+
+    const [column] = index.columns;
+    const condition = filter.conditions.find(
+      (c) =>
+        c.column === column &&
+        (c.operator === '==' || (c.operator === 'in' && Array.isArray(c.value)))
+    );
+    if (!condition) return null;
+
+    const values =
+      condition.operator === 'in' ? condition.value : [condition.value];
+    const ids = new Set();
+    for (const value of values) {
+      const indexKey = this._getBlindIndexKey(
+        index,
+        this._buildIndexKey({ [column]: value }, [column])
+      );
+      for (const id of index.data.get(indexKey) || []) {
+        ids.add(id);
+      }
+    }
+    return ids;
+  }
+
   _applyFilter(data, filter) {
     const { operator, conditions } = filter;
 
@@ -1382,296 +3290,1718 @@ class SlimCryptDB {
   }
 
   /**
-   * Read data with caching and optimization
+   * Join rows with one or more tables (inner, left or right)
    */
-  async readData(tableName, query = {}) {
-    const filePath = path.join(this.databaseDir, `${tableName}.db`);
+  async _applyJoin(data, join, transactionId = null) {
+    const joins = Array.isArray(join) ? join : [join];
+    let result = data;
 
-    try {
-      let data = await fs.readFile(filePath);
+    for (const joinSpec of joins) {
+      result = await this._joinTable(result, joinSpec, transactionId);
+    }
+
+    return result;
+  }
+
+  /**
+   * Join rows with a single table, reading the joined table only once
+   */
+  async _joinTable(data, join, transactionId = null) {
+    const { table, on, type = 'inner', as } = join;
+    const foreignKey = join.foreignKey || on;
+
+    if (!table || !on) {
+      throw new Error('Join requires both a table and an on column');
+    }
+    if (!['inner', 'left', 'right'].includes(type)) {
+      throw new Error(`Unsupported join type: ${type}`);
+    }
 
-      // Decompress first, then decrypt
-      if (this.options.compression) {
-        data = await this._decompressData(data);
+    const joinedRows = await this.readData(table, {}, transactionId);
+    const result = [];
+
+    if (type === 'right') {
+      // Drive the join from the joined table, matching rows from the left
+      const leftLookup = this._groupRowsByColumn(data, on);
+
+      for (const joinedRow of joinedRows) {
+        const matches = this._lookupJoinRows(leftLookup, joinedRow[foreignKey]);
+
+        if (matches.length === 0) {
+          result.push(this._mergeJoinedRow(null, joinedRow, as));
+          continue;
+        }
+        for (const row of matches) {
+          result.push(this._mergeJoinedRow(row, joinedRow, as));
+        }
       }
 
-      const tableData = this._decryptData(data);
+      return result;
+    }
 
-      const rows = tableData.rows || [];
-      return rows.filter((item) => {
-        if (!Object.keys(query).length) return true;
+    const lookup = this._getJoinLookup(
+      table,
+      foreignKey,
+      joinedRows,
+      transactionId
+    );
 
-        return Object.entries(query).every(([key, value]) => {
-          if (value instanceof RegExp) {
-            return value.test(item[key]);
-          }
-          return item[key] === value;
-        });
-      });
-    } catch (error) {
-      if (error.code === 'ENOENT') {
-        throw new Error(`Table ${tableName} does not exist`);
+    for (const row of data) {
+      const matches = this._lookupJoinRows(lookup, row[on]);
+
+      if (matches.length === 0) {
+        if (type === 'left') {
+          result.push(this._mergeJoinedRow(row, null, as));
+        }
+        continue;
+      }
+      for (const joinedRow of matches) {
+        result.push(this._mergeJoinedRow(row, joinedRow, as));
       }
-      throw error;
     }
+
+    return result;
   }
 
   /**
-   * Write data directly to table file
+   * Build a join lookup, using a single-column index on the join column when one exists
    */
-  async _writeDataDirect(tableName, rows) {
-    const filePath = path.join(this.databaseDir, `${tableName}.db`);
-    const tableData = {
-      name: tableName,
-      rows,
-      lastModified: Date.now(),
-    };
+  _getJoinLookup(tableName, column, rows, transactionId = null) {
+    if (
+      this._hasPendingOperations(tableName) ||
+      this._readsSnapshot(transactionId)
+    ) {
+      return this._groupRowsByColumn(rows, column);
+    }
+
+    // eslint-disable-next-line no-unused-vars
+    for (const [indexName, index] of this.indexes) {
+      if (
+        index.tableName === tableName &&
+        index.type !== 'blind' &&
+        index.columns.length === 1 &&
+        index.columns[0] === column
+      ) {
+        // Index keys are strings, so rows are grouped by their own value
+        // to compare keys as strictly as an unindexed join
+        const rowsById = new Map(rows.map((row) => [row.id, row]));
+        const indexedRows = [];
+        for (const ids of index.data.values()) {
+          for (const id of ids) {
+            if (rowsById.has(id)) indexedRows.push(rowsById.get(id));
+          }
+        }
 
-    // Encrypt first, then compress
-    let data = this._encryptData(tableData);
-    if (this.options.compression) {
-      data = await this._compressData(data);
+        return this._groupRowsByColumn(indexedRows, column);
+      }
     }
 
-    await fs.writeFile(filePath, data);
+    return this._groupRowsByColumn(rows, column);
   }
 
-  /**
-   * Enhanced lock management with queue support
-   */
-  async _acquireLock(tableName, transactionId, timeout = null) {
-    const lockTimeout = timeout || this.options.lockTimeout;
-    const startTime = Date.now();
+  _groupRowsByColumn(rows, column) {
+    const lookup = new Map();
 
-    return new Promise((resolve, reject) => {
-      const attemptLock = () => {
-        const currentLock = this.locks.get(tableName);
+    for (const row of rows) {
+      if (row[column] === undefined || row[column] === null) continue;
 
-        if (!currentLock || currentLock === transactionId) {
-          this.locks.set(tableName, transactionId);
-          const transaction = this.transactions.get(transactionId);
-          if (transaction) {
-            transaction.locks.add(tableName);
-          }
-          resolve();
-          return;
-        }
+      // Map keys keep their type, so 5 does not match '5'
+      const key = row[column];
+      if (!lookup.has(key)) {
+        lookup.set(key, []);
+      }
+      lookup.get(key).push(row);
+    }
 
-        if (Date.now() - startTime >= lockTimeout) {
-          reject(new Error(`Lock timeout for table ${tableName}`));
-          return;
-        }
+    return lookup;
+  }
 
-        // Add to wait queue
-        if (!this.lockQueue.has(tableName)) {
-          this.lockQueue.set(tableName, []);
-        }
-        this.lockQueue.get(tableName).push({
-          transactionId,
-          resolve,
-          reject,
-          startTime,
-          timeout: lockTimeout,
-        });
-      };
+  _lookupJoinRows(lookup, value) {
+    if (value === undefined || value === null) return [];
 
-      attemptLock();
-    });
+    return lookup.get(value) || [];
   }
 
   /**
-   * Release lock and process queue
+   * Combine a row with its joined row. With an alias, joined columns are
+   * namespaced as `alias.column`; otherwise columns from the left row win.
    */
-  _releaseLock(tableName, transactionId) {
-    const currentLock = this.locks.get(tableName);
-    if (currentLock === transactionId) {
-      this.locks.delete(tableName);
-
-      // Process waiting queue
-      const queue = this.lockQueue.get(tableName);
-      if (queue && queue.length > 0) {
-        const nextWaiter = queue.shift();
-        const now = Date.now();
-
-        if (now - nextWaiter.startTime < nextWaiter.timeout) {
-          this.locks.set(tableName, nextWaiter.transactionId);
-          const transaction = this.transactions.get(nextWaiter.transactionId);
-          if (transaction) {
-            transaction.locks.add(tableName);
-          }
-          nextWaiter.resolve();
-        } else {
-          nextWaiter.reject(new Error(`Lock timeout for table ${tableName}`));
-        }
+  _mergeJoinedRow(row, joinedRow, alias) {
+    const merged = { ...(row || {}) };
+    if (!joinedRow) return merged;
 
-        if (queue.length === 0) {
-          this.lockQueue.delete(tableName);
-        }
+    if (alias) {
+      for (const [key, value] of Object.entries(joinedRow)) {
+        merged[`${alias}.${key}`] = value;
       }
+      return merged;
     }
+
+    return { ...joinedRow, ...merged };
   }
 
   /**
-   * Apply operation during transaction commit
+   * Read rows of a table. Encrypted fields are decrypted when the
+   * database has a field key and are returned sealed otherwise.
    */
-  async _applyOperation(operation) {
-    switch (operation.type) {
-      case 'add':
-        await this._applyAddOperation(operation);
-        break;
-      case 'update':
-        await this._applyUpdateOperation(operation);
-        break;
-      case 'delete':
-        await this._applyDeleteOperation(operation);
-        break;
-      default:
-        throw new Error(`Unknown operation type: ${operation.type}`);
-    }
+  async readData(tableName, query = {}, transactionId = null) {
+    const rows = await this._readRows(tableName, {}, transactionId);
+    return this._revealFields(tableName, rows).filter((item) =>
+      matchesQuery(item, query)
+    );
+  }
 
-    // Clear operation data
-    if (operation.data && Buffer.isBuffer(operation.data)) {
-      operation.data.fill(0);
+  /**
+   * Rows as stored, with encrypted fields sealed
+   */
+  async _readRows(tableName, query = {}, transactionId = null) {
+    const transaction = transactionId
+      ? this.transactions.get(transactionId)
+      : null;
+    if (transactionId && !transaction) {
+      throw new Error(`Transaction ${transactionId} not found`);
     }
-  }
 
-  async _applyAddOperation(operation) {
-    const { tableName, data } = operation;
-    const existingData = await this.readData(tableName, {});
+    try {
+      const rows = transaction
+        ? await this._readTransactionRows(tableName, transaction)
+        : (await this._readTableFile(tableName)).rows || [];
 
-    // Check for duplicate ID
-    if (existingData.some((item) => item.id === data.id)) {
-      throw new Error(`Duplicate ID: ${data.id}`);
+      return rows.filter((item) => matchesQuery(item, query));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`Table ${tableName} does not exist`);
+      }
+      throw error;
     }
+  }
 
-    existingData.push(data);
+  /**
+   * Decrypt the encrypted fields of rows read without the field key
+   */
+  async decryptFields(tableName, rows, fieldKey = this.fieldKey) {
+    assertFieldKey(fieldKey);
+    return this._revealFields(tableName, rows, fieldKey);
+  }
 
-    await this._writeWAL({
-      type: 'write',
-      tableName,
-      data: existingData,
-    });
+  /**
+   * Top-level schema properties marked `encrypted: true`
+   */
+  _getEncryptedFields(tableName) {
+    const schema = this.schemas.get(tableName);
+    if (!schema || !schema.properties) return [];
 
-    await this._writeDataDirect(tableName, existingData);
+    return Object.keys(schema.properties).filter(
+      (field) => schema.properties[field].encrypted === true
+    );
   }
 
   /**
-   * Apply update operation during transaction commit
+   * Seal the encrypted fields of a row with the field key, then the other
+   * fields of rows with a subject with that subject's key. Sealed values
+   * kept unchanged from the stored row, e.g. by an update without the key,
+   * are kept; any other value is sealed, even if it looks sealed.
    */
-  async _applyUpdateOperation(operation) {
-    // eslint-disable-next-line no-unused-vars
-    const { tableName, oldData, newData, id } = operation;
-    const existingData = await this.readData(tableName, {});
+  async _sealFields(tableName, row, stored = null) {
+    const sealed = { ...row };
+    for (const field of this._getEncryptedFields(tableName)) {
+      const value = row[field];
+      if (value === undefined || isKeptSealed(value, stored, field)) continue;
+      if (!this.fieldKey) {
+        throw new Error(
+          `Field ${field} of table ${tableName} is encrypted: a fieldKey is required to write it`
+        );
+      }
 
-    const index = existingData.findIndex((item) => item.id === id);
-    if (index === -1) {
-      throw new Error(`Record with ID ${id} not found`);
+      sealed[field] = sealValue(value, SEALED_FIELD_PREFIX, {
+        cipher: this._getCipher(),
+        key: this.fieldKey,
+        aad: this._getFieldAAD(tableName, field, row.id),
+      });
     }
 
-    // Update the record
-    existingData[index] = newData;
-
-    await this._writeWAL({
-      type: 'write',
-      tableName,
-      data: existingData,
-    });
+    const subjectField = this._getSubjectField(tableName);
+    const subjectId = subjectField ? row[subjectField] : undefined;
+    if (subjectId === undefined || subjectId === null) return sealed;
+
+    // Values sealed for another subject are sealed again for this one
+    const sameSubject =
+      Boolean(stored) && String(stored[subjectField]) === String(subjectId);
+    const subjectKey = await this._getSubjectKey(subjectId);
+    for (const [field, value] of Object.entries(sealed)) {
+      if (
+        field === 'id' ||
+        field === subjectField ||
+        value === undefined ||
+        (sameSubject &&
+          isSealedSubjectValue(value) &&
+          isKeptSealed(value, stored, field))
+      ) {
+        continue;
+      }
 
-    await this._writeDataDirect(tableName, existingData);
+      sealed[field] = sealValue(value, SEALED_SUBJECT_PREFIX, {
+        cipher: this._getCipher(),
+        key: subjectKey,
+        aad: this._getSubjectAAD(tableName, field, row.id),
+      });
+    }
+    return sealed;
   }
 
   /**
-   * Apply delete operation during transaction commit
+   * Copies of rows with their sealed fields decrypted. Encrypted fields
+   * stay sealed without a field key, and the rows of shredded subjects
+   * stay sealed for good.
    */
-  async _applyDeleteOperation(operation) {
-    // eslint-disable-next-line no-unused-vars
-    const { tableName, data, id } = operation;
-    const existingData = await this.readData(tableName, {});
-
-    const index = existingData.findIndex((item) => item.id === id);
-    if (index === -1) {
-      throw new Error(`Record with ID ${id} not found`);
-    }
+  _revealFields(tableName, rows, fieldKey = this.fieldKey) {
+    const fields = this._getEncryptedFields(tableName);
+    const opened = this._openSubjects(tableName, rows);
+    if (!fieldKey || fields.length === 0) return opened;
 
-    // Remove the record
-    existingData.splice(index, 1);
+    return opened.map((row) => {
+      const revealed = { ...row };
+      for (const field of fields) {
+        if (!isSealedField(row[field])) continue;
 
-    await this._writeWAL({
-      type: 'write',
-      tableName,
-      data: existingData,
+        revealed[field] = this._openValue(
+          tableName,
+          field,
+          row,
+          fieldKey,
+          this._getFieldAAD(tableName, field, row.id)
+        );
+      }
+      return revealed;
     });
-
-    await this._writeDataDirect(tableName, existingData);
   }
 
   /**
-   * Performance monitoring and statistics
+   * Copies of rows with the values sealed with their subject's key
+   * decrypted; encrypted fields are left sealed with the field key
    */
-  async getStats() {
-    return {
-      tables: await this._getTableCount(),
-      indexes: this.indexes.size,
-      activeTransactions: this.transactions.size,
-      walSequence: this.walSequence,
-      memoryUsage: process.memoryUsage(),
-      uptime: process.uptime(),
-      locks: this.locks.size,
-      lockQueue: Array.from(this.lockQueue.values()).reduce(
-        (sum, queue) => sum + queue.length,
-        0
-      ),
-    };
+  _openSubjects(tableName, rows) {
+    const subjectField = this._getSubjectField(tableName);
+    if (!subjectField) return rows;
+
+    return rows.map((row) => {
+      const subjectId = row[subjectField];
+      if (subjectId === undefined || subjectId === null) return row;
+      const subjectKey = this.subjectKeys.get(String(subjectId));
+      if (!subjectKey) return row;
+
+      const opened = { ...row };
+      for (const [field, value] of Object.entries(row)) {
+        if (
+          field === 'id' ||
+          field === subjectField ||
+          !isSealedSubjectValue(value)
+        ) {
+          continue;
+        }
+
+        opened[field] = this._openValue(
+          tableName,
+          field,
+          row,
+          subjectKey,
+          this._getSubjectAAD(tableName, field, row.id)
+        );
+      }
+      return opened;
+    });
   }
 
-  async _getTableCount() {
+  _openValue(tableName, field, row, key, aad) {
     try {
-      const files = await fs.readdir(this.databaseDir);
-      return files.filter((file) => file.endsWith('.db')).length;
-    } catch {
-      return 0;
+      return openValue(row[field], key, aad);
+    } catch (error) {
+      throw new IntegrityError(
+        `Cannot decrypt field ${field} of row ${row.id} in ${tableName}: ${error.message}`
+      );
     }
   }
 
   /**
-   * Enhanced graceful shutdown with proper key management
+   * Sealed values are bound to their table, field and row, so they cannot
+   * be swapped between rows
    */
-  async close() {
-    if (this.isClosed) return;
+  _getFieldAAD(tableName, field, id) {
+    return this._getAAD('field', `${tableName}:${field}:${id}`);
+  }
 
-    this.isClosed = true;
+  _getSubjectAAD(tableName, field, id) {
+    return this._getAAD('subject', `${tableName}:${field}:${id}`);
+  }
 
-    // Clear checkpoint timer
-    if (this.checkpointTimer) {
-      clearInterval(this.checkpointTimer);
-      this.checkpointTimer = null;
+  _getSubjectField(tableName) {
+    const entry = this.catalog.tables[tableName];
+    return (entry && entry.options && entry.options.subjectField) || null;
+  }
+
+  /**
+   * Key of a data subject, created and persisted on first use
+   */
+  async _getSubjectKey(subjectId) {
+    const id = String(subjectId);
+    if (!this.subjectKeys.has(id)) {
+      this.subjectKeys.set(id, this._generateSecureKey());
+      await this._saveSubjectKeys();
     }
+    return this.subjectKeys.get(id);
+  }
 
-    // Flush any remaining WAL entries
-    await this._flushWAL();
+  /**
+   * Load the subject keys, kept apart from the catalog so that shredding
+   * rewrites a single small file
+   */
+  async _loadSubjectKeys() {
+    if (!this.options.encrypt) return;
 
-    // Final checkpoint
-    await this._checkpoint();
+    let raw;
+    try {
+      raw = await fs.readFile(this._getSubjectKeysPath());
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
 
-    // Clear all pending operations
-    this.lockQueue.clear();
-    this.locks.clear();
-    this.transactions.clear();
+    const store = await this._decodeData(
+      raw,
+      this.encryptionKey,
+      this._getSubjectKeysAAD()
+    );
+    // A restored copy would bring shredded keys back
+    await this._verifyFileGeneration(SUBJECT_KEYS_FILE, raw, store.generation);
+    this.subjectKeys = new Map(
+      Object.entries(store.keys).map(([id, key]) => [
+        id,
+        Buffer.from(key, 'base64'),
+      ])
+    );
+  }
 
-    // Securely wipe encryption keys (now safe since each instance has its own copy)
-    if (this.encryptionKey && Buffer.isBuffer(this.encryptionKey)) {
-      this.encryptionKey.fill(0);
+  /**
+   * Persist the subject keys. Saves are chained so that an older snapshot
+   * never replaces a newer one.
+   */
+  async _saveSubjectKeys() {
+    const save = (this.subjectKeysSave || Promise.resolve())
+      .catch(() => {})
+      .then(async () => {
+        const generation = this._nextGeneration();
+        const data = await this._encodeSubjectKeys(
+          generation,
+          this.encryptionKey
+        );
+        await this._atomicWriteFile(this._getSubjectKeysPath(), data);
+        this._recordFile(SUBJECT_KEYS_FILE, generation, data);
+        await this._saveManifest();
+      });
+    this.subjectKeysSave = save;
+    await save;
+  }
+
+  async _encodeSubjectKeys(generation, key) {
+    const keys = {};
+    for (const [id, subjectKey] of this.subjectKeys) {
+      keys[id] = subjectKey.toString('base64');
     }
-    if (this.walKey && Buffer.isBuffer(this.walKey)) {
+    return this._encodeData(
+      { version: 1, generation, keys },
+      key,
+      this._getSubjectKeysAAD()
+    );
+  }
+
+  _getSubjectKeysPath() {
+    return path.join(this.databaseDir, SUBJECT_KEYS_FILE);
+  }
+
+  _getSubjectKeysAAD() {
+    return this._getAAD('subject-keys', SUBJECT_KEYS_FILE);
+  }
+
+  /**
+   * Erase a data subject: delete their rows from every table with a
+   * subjectField, then destroy their key. Copies of the rows left in the
+   * WAL, previous generations, backups and replicas can no longer be
+   * decrypted, unless an older copy of the subject key store survives.
+   * Returns the number of deleted rows.
+   */
+  async shredSubject(subjectId) {
+    await this.ensureInitialized();
+    if (subjectId === undefined || subjectId === null) {
+      throw new Error('A subject id is required');
+    }
+
+    // Keys are stored by the id as a string, so rows are matched the same
+    // way: shredding '42' also deletes rows stored with subject 42
+    const id = String(subjectId);
+    let deleted = 0;
+    for (const tableName of this.listTables()) {
+      const subjectField = this._getSubjectField(tableName);
+      if (!subjectField) continue;
+
+      const values = new Set();
+      for (const row of await this._readRows(tableName, {})) {
+        const value = row[subjectField];
+        if (value !== undefined && value !== null && String(value) === id) {
+          values.add(value);
+        }
+      }
+      for (const value of values) {
+        deleted += await this.deleteData(tableName, { [subjectField]: value });
+      }
+    }
+
+    const subjectKey = this.subjectKeys.get(id);
+    if (subjectKey) {
+      this.subjectKeys.delete(id);
+      await this._saveSubjectKeys();
+      subjectKey.fill(0);
+    }
+    return deleted;
+  }
+
+  /**
+   * Rows of a table as seen by a transaction under its isolation level
+   */
+  async _readTransactionRows(tableName, transaction) {
+    const { isolationLevel, snapshot } = transaction;
+    let rows;
+
+    // Recorded before reading, so a commit in between is detected
+    this._recordTableAccess(transaction, tableName);
+
+    if (['REPEATABLE_READ', 'SERIALIZABLE'].includes(isolationLevel)) {
+      // Every read sees the table as it was when first read
+      if (!snapshot.has(tableName)) {
+        snapshot.set(
+          tableName,
+          (await this._readTableFile(tableName)).rows || []
+        );
+      }
+      rows = JSON.parse(JSON.stringify(snapshot.get(tableName)));
+    } else {
+      rows = (await this._readTableFile(tableName)).rows || [];
+    }
+
+    if (isolationLevel === 'READ_UNCOMMITTED') {
+      // Dirty reads: include changes other transactions have not committed
+      for (const other of this.transactions.values()) {
+        if (other !== transaction) {
+          this._overlayTransaction(rows, tableName, other);
+        }
+      }
+    }
+
+    return this._overlayTransaction(rows, tableName, transaction);
+  }
+
+  /**
+   * Apply a transaction's pending operations on a table to its committed
+   * rows, so the transaction reads its own writes
+   */
+  _overlayTransaction(rows, tableName, transaction) {
+    for (const operation of transaction.operations) {
+      if (operation.tableName !== tableName) continue;
+
+      if (operation.type === 'add') {
+        this._applyRowOperation(rows, {
+          type: 'insert',
+          id: operation.data.id,
+          after: { ...operation.data },
+        });
+      } else if (operation.type === 'update') {
+        this._applyRowOperation(rows, {
+          type: 'update',
+          id: operation.id,
+          after: { ...operation.newData },
+        });
+      } else if (operation.type === 'delete') {
+        this._applyRowOperation(rows, { type: 'delete', id: operation.id });
+      }
+    }
+
+    return rows;
+  }
+
+  /**
+   * Whether a transaction reads tables from its snapshots, which the
+   * in-memory indexes no longer match once others commit
+   */
+  _readsSnapshot(transactionId) {
+    const transaction = transactionId && this.transactions.get(transactionId);
+    return (
+      Boolean(transaction) &&
+      ['REPEATABLE_READ', 'SERIALIZABLE'].includes(transaction.isolationLevel)
+    );
+  }
+
+  /**
+   * Whether any open transaction has queued changes to a table
+   */
+  _hasPendingOperations(tableName) {
+    for (const transaction of this.transactions.values()) {
+      if (transaction.operations.some((op) => op.tableName === tableName)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Read and decrypt a table file
+   */
+  async _readTableFile(tableName) {
+    const file = this._getTableFile(tableName);
+    const filePath = path.join(this.databaseDir, file);
+
+    // Files are being re-encrypted under a new key
+    if (this.keyRotationPromise) {
+      await this.keyRotationPromise.catch(() => {});
+    }
+    const key = await this._getTableKey(tableName);
+    const aad = this._getAAD('table', tableName);
+
+    let raw;
+    let tableData;
+    try {
+      raw = await fs.readFile(filePath);
+      tableData = await this._decodeData(raw, key, aad);
+    } catch (error) {
+      if (error.code === 'ENOENT' || !this.options.keepPreviousGeneration) {
+        throw error;
+      }
+
+      // Fall back to the previous generation when the file fails to
+      // authenticate, e.g. after a torn write on storage without fsync
+      let previousRaw;
+      let previous;
+      try {
+        previousRaw = await fs.readFile(`${filePath}.prev`);
+        previous = await this._decodeData(previousRaw, key, aad);
+      } catch {
+        throw error;
+      }
+      this._verifyPreviousGeneration(file, previousRaw, previous.generation);
+      console.warn(
+        `[RECOVERY] ${tableName}.db is unreadable (${error.message}), using previous generation`
+      );
+      this.eventEmitter.emit('integrity', {
+        type: 'previous-generation',
+        file,
+        generation: previous.generation || 0,
+      });
+      return previous;
+    }
+
+    // A validly encrypted but older copy of the file is caught here
+    await this._verifyFileGeneration(file, raw, tableData.generation);
+    return tableData;
+  }
+
+  /**
+   * Read a table, index or catalog file and decode it
+   */
+  async _decodeFile(filePath, key = this.encryptionKey, aad = null) {
+    return this._decodeData(await fs.readFile(filePath), key, aad);
+  }
+
+  /**
+   * Decrypt and decompress a file written by _encodeData. Files without a
+   * container are hex ciphertext, gzipped when compression was enabled.
+   */
+  async _decodeData(data, key = this.encryptionKey, aad = null) {
+    const container = parseContainer(data);
+    if (!container) {
+      const legacy = await decompressLegacyData(data);
+      return this._decryptData(legacy.toString(), key, aad);
+    }
+
+    const payload = this._openContainer(container, key, aad);
+    try {
+      const plaintext = await CODECS[container.codec].decompress(payload);
+      return JSON.parse(plaintext.toString('utf8'));
+    } catch (error) {
+      throw new IntegrityError(`Decoding failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Compress the JSON plaintext with the configured codec, then seal it in
+   * a container
+   */
+  async _encodeData(data, key = this.encryptionKey, aad = null) {
+    const payload = await CODECS[this.options.codec].compress(
+      Buffer.from(JSON.stringify(data), 'utf8')
+    );
+    return this._sealContainer(payload, key, aad, this.options.codec);
+  }
+
+  /**
+   * Encrypt a payload with the configured cipher and frame it with the
+   * container header
+   */
+  _sealContainer(payload, key, aad, codec) {
+    try {
+      return sealContainer(payload, {
+        cipher: this.options.encrypt ? this._getCipher() : 'none',
+        codec,
+        key,
+        aad,
+      });
+    } catch (error) {
+      throw new Error(`Encryption failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Authenticate and decrypt a parsed container, returning its payload
+   */
+  _openContainer(container, key, aad) {
+    const encrypted = container.cipher !== 'none';
+    if (encrypted !== Boolean(this.options.encrypt)) {
+      throw new IntegrityError(
+        encrypted
+          ? 'Decryption failed: the file is encrypted but encryption is disabled'
+          : 'Authentication failed: the file is not encrypted'
+      );
+    }
+    if (!encrypted) return container.payload;
+
+    if (container.bound && !aad) {
+      throw new IntegrityError(
+        'Decryption failed: Missing additional authenticated data'
+      );
+    }
+    if (!container.bound && aad && this.catalog.requireAAD) {
+      throw new IntegrityError(
+        'Authentication failed: data is not bound to its file'
+      );
+    }
+    return openContainer(container, key, aad);
+  }
+
+  _getCipher() {
+    return this.options.cipher || DEFAULT_CIPHER;
+  }
+
+  /**
+   * Write data directly to table file
+   */
+  async _writeDataDirect(tableName, rows, lastSequence = this.walSequence) {
+    const file = this._getTableFile(tableName);
+    const filePath = path.join(this.databaseDir, file);
+    const generation = this._nextGeneration();
+    const data = await this._encodeTableFile(
+      tableName,
+      rows,
+      lastSequence,
+      generation
+    );
+
+    await this._atomicWriteFile(filePath, data, {
+      keepPrevious: this.options.keepPreviousGeneration,
+    });
+    this._recordFile(file, generation, data, {
+      keepPrevious: this.options.keepPreviousGeneration,
+    });
+    await this._saveManifest();
+  }
+
+  /**
+   * Write table rows to a staging file that is promoted once the
+   * transaction's commit marker is in the WAL
+   */
+  async _stageTableFile(tableName, rows, lastSequence, transactionId) {
+    const file = this._getTableFile(tableName);
+    const filePath = path.join(this.databaseDir, file);
+    const tempPath = `${filePath}.${transactionId}.tmp`;
+    const generation = this._nextGeneration();
+    const data = await this._encodeTableFile(
+      tableName,
+      rows,
+      lastSequence,
+      generation
+    );
+
+    await this._writeSyncedFile(tempPath, data);
+    return {
+      tableName,
+      rows,
+      lastSequence,
+      tempPath,
+      filePath,
+      file,
+      generation,
+      data,
+    };
+  }
+
+  async _encodeTableFile(tableName, rows, lastSequence, generation) {
+    const tableData = {
+      name: tableName,
+      rows,
+      lastModified: Date.now(),
+      // Last WAL sequence reflected in this file, used to skip replays
+      lastSequence,
+      // Counter from the manifest, used to detect replayed files
+      generation,
+    };
+
+    return this._encodeData(
+      tableData,
+      await this._getTableKey(tableName),
+      this._getAAD('table', tableName)
+    );
+  }
+
+  /**
+   * Crash-safe file replacement: write a sibling temp file, fsync it, then
+   * rename it over the target and fsync the directory. A power loss leaves
+   * either the old or the new file, never a truncated one.
+   */
+  async _atomicWriteFile(filePath, data, { keepPrevious = false } = {}) {
+    const tempPath = `${filePath}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+
+    await this._writeSyncedFile(tempPath, data);
+    await this._promoteFile(tempPath, filePath, { keepPrevious });
+  }
+
+  async _writeSyncedFile(filePath, data) {
+    const handle = await fs.open(filePath, 'w');
+
+    try {
+      await handle.writeFile(data);
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * Rename a synced temp file over its target, optionally keeping the
+   * replaced file as <file>.prev
+   */
+  async _promoteFile(tempPath, filePath, { keepPrevious = false } = {}) {
+    try {
+      if (keepPrevious) {
+        await this._keepPreviousGeneration(filePath);
+      }
+      await fs.rename(tempPath, filePath);
+    } catch (error) {
+      await fs.rm(tempPath, { force: true });
+      throw error;
+    }
+
+    await this._syncDirectory(path.dirname(filePath));
+  }
+
+  async _keepPreviousGeneration(filePath) {
+    const previousPath = `${filePath}.prev`;
+    await fs.rm(previousPath, { force: true });
+
+    try {
+      // A hard link keeps the old contents without copying them
+      await fs.link(filePath, previousPath);
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      // Filesystems without hard links (e.g. FAT on SD cards)
+      await fs.copyFile(filePath, previousPath);
+    }
+  }
+
+  async _syncDirectory(dirPath) {
+    let handle;
+    try {
+      handle = await fs.open(dirPath, 'r');
+      await handle.sync();
+    } catch (error) {
+      // Some platforms cannot fsync directories; the rename is still atomic
+    } finally {
+      if (handle) await handle.close();
+    }
+  }
+
+  /**
+   * Remove temp files left behind by writes, commits and key rotations
+   * interrupted by a crash
+   */
+  async _removeStagedFiles() {
+    for (const dir of [
+      this.databaseDir,
+      path.join(this.databaseDir, 'wal'),
+      path.join(this.databaseDir, 'indexes'),
+    ]) {
+      const files = await fs.readdir(dir);
+
+      for (const file of files) {
+        if (['.tmp', '.newkey', '.oldkey'].includes(path.extname(file))) {
+          await fs.rm(path.join(dir, file), { force: true });
+        }
+      }
+    }
+  }
+
+  /**
+   * Enhanced lock management with queue support
+   */
+  async _acquireLock(tableName, transactionId, timeout = null) {
+    const lockTimeout = timeout || this.options.lockTimeout;
+    const startTime = Date.now();
+
+    return new Promise((resolve, reject) => {
+      const attemptLock = () => {
+        const currentLock = this.locks.get(tableName);
+
+        if (!currentLock || currentLock === transactionId) {
+          this.locks.set(tableName, transactionId);
+          const transaction = this.transactions.get(transactionId);
+          if (transaction) {
+            transaction.locks.add(tableName);
+          }
+          resolve();
+          return;
+        }
+
+        if (Date.now() - startTime >= lockTimeout) {
+          reject(new Error(`Lock timeout for table ${tableName}`));
+          return;
+        }
+
+        // Add to wait queue
+        if (!this.lockQueue.has(tableName)) {
+          this.lockQueue.set(tableName, []);
+        }
+        this.lockQueue.get(tableName).push({
+          transactionId,
+          resolve,
+          reject,
+          startTime,
+          timeout: lockTimeout,
+        });
+      };
+
+      attemptLock();
+    });
+  }
+
+  /**
+   * Release lock and process queue
+   */
+  _releaseLock(tableName, transactionId) {
+    const currentLock = this.locks.get(tableName);
+    if (currentLock === transactionId) {
+      this.locks.delete(tableName);
+
+      // Process waiting queue
+      const queue = this.lockQueue.get(tableName);
+      if (queue && queue.length > 0) {
+        const nextWaiter = queue.shift();
+        const now = Date.now();
+
+        if (now - nextWaiter.startTime < nextWaiter.timeout) {
+          this.locks.set(tableName, nextWaiter.transactionId);
+          const transaction = this.transactions.get(nextWaiter.transactionId);
+          if (transaction) {
+            transaction.locks.add(tableName);
+          }
+          nextWaiter.resolve();
+        } else {
+          nextWaiter.reject(new Error(`Lock timeout for table ${tableName}`));
+        }
+
+        if (queue.length === 0) {
+          this.lockQueue.delete(tableName);
+        }
+      }
+    }
+  }
+
+  /**
+   * Commit a transaction's operations all-or-nothing. The changes are
+   * logged between begin and commit markers and every touched table is
+   * staged; the tables are only promoted once the commit marker is durable,
+   * and recovery discards logged changes that never reached one.
+   */
+  async _commitOperations(transactionId, operations) {
+    if (operations.length === 0) return;
+
+    const { tables, records } = await this._prepareOperations(operations);
+    const sequences = [];
+    const tableSequences = new Map();
+    const staged = [];
+
+    try {
+      sequences.push(await this._writeWAL({ type: 'begin', transactionId }));
+
+      for (const record of records) {
+        const sequence = await this._writeWAL({ ...record, transactionId });
+        sequences.push(sequence);
+        tableSequences.set(record.tableName, sequence || this.walSequence);
+      }
+
+      for (const [tableName, rows] of tables) {
+        staged.push(
+          await this._stageTableFile(
+            tableName,
+            rows,
+            tableSequences.get(tableName),
+            transactionId
+          )
+        );
+      }
+
+      // The commit marker must be on disk before any table is replaced
+      sequences.push(await this._writeWAL({ type: 'commit', transactionId }));
+      await this._flushWAL();
+    } catch (error) {
+      // Without a commit marker recovery ignores the logged changes
+      sequences.forEach((sequence) => this._markWALApplied(sequence));
+      for (const { tempPath } of staged) {
+        await fs.rm(tempPath, { force: true });
+      }
+      throw error;
+    }
+
+    // The transaction is committed from here on, so a failure only delays
+    // replacing its tables
+    const commit = { staged, sequences, locks: new Set() };
+    try {
+      await this._applyCommit(commit);
+    } catch (error) {
+      this.unappliedCommits.set(transactionId, commit);
+      throw new CommitNotAppliedError(transactionId, error);
+    }
+  }
+
+  /**
+   * Replace the tables of a committed transaction, then mark its WAL
+   * entries applied. A staged file that cannot be promoted is written
+   * again from the committed rows; tables already replaced are skipped
+   * when the commit is retried.
+   */
+  async _applyCommit(commit) {
+    const keepPrevious = this.options.keepPreviousGeneration;
+
+    while (commit.staged.length > 0) {
+      const stagedFile = commit.staged[0];
+      const { tempPath, filePath, file, generation, data } = stagedFile;
+      try {
+        await this._promoteFile(tempPath, filePath, { keepPrevious });
+        this._recordFile(file, generation, data, { keepPrevious });
+      } catch (error) {
+        console.warn(
+          `[COMMIT] Cannot promote ${file} (${error.message}), rewriting it`
+        );
+        await this._writeDataDirect(
+          stagedFile.tableName,
+          stagedFile.rows,
+          stagedFile.lastSequence
+        );
+      }
+      commit.staged.shift();
+    }
+    await this._saveManifest();
+
+    commit.sequences.forEach((sequence) => this._markWALApplied(sequence));
+  }
+
+  /**
+   * Retry committed transactions whose tables could not be replaced, then
+   * release their table locks
+   */
+  async _retryUnappliedCommits() {
+    for (const [transactionId, commit] of this.unappliedCommits) {
+      try {
+        await this._applyCommit(commit);
+      } catch (error) {
+        console.warn(
+          `[COMMIT] Transaction ${transactionId} is still not applied: ${error.message}`
+        );
+        continue;
+      }
+
+      this.unappliedCommits.delete(transactionId);
+      await this._saveIndexesForTables(commit.locks);
+      for (const tableName of commit.locks) {
+        this._releaseLock(tableName, transactionId);
+      }
+    }
+  }
+
+  /**
+   * Apply operations to in-memory copies of their tables and collect the
+   * row-level WAL records describing the changes
+   */
+  async _prepareOperations(operations) {
+    const tables = new Map();
+    const records = [];
+
+    for (const operation of operations) {
+      const { tableName } = operation;
+      if (!tables.has(tableName)) {
+        tables.set(tableName, await this._readRows(tableName, {}));
+      }
+
+      records.push(this._applyOperation(tables.get(tableName), operation));
+
+      // Clear operation data
+      if (operation.data && Buffer.isBuffer(operation.data)) {
+        operation.data.fill(0);
+      }
+    }
+
+    return { tables, records };
+  }
+
+  /**
+   * Apply operation during transaction commit
+   */
+  _applyOperation(rows, operation) {
+    switch (operation.type) {
+      case 'add':
+        return this._applyAddOperation(rows, operation);
+      case 'update':
+        return this._applyUpdateOperation(rows, operation);
+      case 'delete':
+        return this._applyDeleteOperation(rows, operation);
+      default:
+        throw new Error(`Unknown operation type: ${operation.type}`);
+    }
+  }
+
+  _applyAddOperation(rows, operation) {
+    const { tableName, data } = operation;
+
+    // Check for duplicate ID
+    if (rows.some((item) => item.id === data.id)) {
+      throw new Error(`Duplicate ID: ${data.id}`);
+    }
+
+    rows.push(data);
+
+    return { type: 'insert', tableName, id: data.id, after: data };
+  }
+
+  /**
+   * Apply update operation during transaction commit
+   */
+  _applyUpdateOperation(rows, operation) {
+    const { tableName, oldData, newData, id } = operation;
+
+    const index = rows.findIndex((item) => item.id === id);
+    if (index === -1) {
+      throw new Error(`Record with ID ${id} not found`);
+    }
+
+    // Update the record
+    rows[index] = newData;
+
+    return { type: 'update', tableName, id, before: oldData, after: newData };
+  }
+
+  /**
+   * Apply delete operation during transaction commit
+   */
+  _applyDeleteOperation(rows, operation) {
+    const { tableName, data, id } = operation;
+
+    const index = rows.findIndex((item) => item.id === id);
+    if (index === -1) {
+      throw new Error(`Record with ID ${id} not found`);
+    }
+
+    // Remove the record
+    rows.splice(index, 1);
+
+    return { type: 'delete', tableName, id, before: data };
+  }
+
+  /**
+   * Rewrap the table data keys and re-encrypt the catalog under a new key
+   * and regenerate the WAL salt, after checkpointing away the old WAL.
+   * Files are staged as *.newkey and rotation.json commits the rotation;
+   * if it is interrupted, the next open completes it when given the new
+   * key or undoes it when given the old one. With a keyProvider the new
+   * key comes from the provider's rotateKey() hook.
+   */
+  async rotateKey(newKey) {
+    const header = await readJSONFile(path.join(this.databaseDir, HEADER_FILE));
+    if (header && header.kdf) {
+      throw new Error(
+        'The key of a passphrase-protected database is changed with changePassphrase()'
+      );
+    }
+    if (header && header.keySlots) {
+      throw new Error(
+        'The master key of a database with key slots cannot be rotated; revoke keys with removeKeySlot()'
+      );
+    }
+
+    if (!this.keyProvider) {
+      await this._performKeyRotation(newKey);
+      return;
+    }
+
+    if (newKey) {
+      throw new Error(
+        'The key of a database with a keyProvider is rotated by the provider; call rotateKey() without a key'
+      );
+    }
+    if (typeof this.keyProvider.rotateKey !== 'function') {
+      throw new Error('The key provider does not support key rotation');
+    }
+
+    await this._assertKeyRotationAllowed();
+    const rotated = await getProviderKey(this.keyProvider, null, true);
+
+    // The header names the new key version in the same crash-safe step
+    try {
+      await this._performKeyRotation(rotated.key, {
+        ...(header || { version: 1 }),
+        keyId: rotated.keyId,
+      });
+      this.keyId = rotated.keyId;
+    } finally {
+      rotated.key.fill(0);
+    }
+  }
+
+  /**
+   * Derive a new key from a passphrase and re-encrypt the database under
+   * it. Omitted `kdf` costs keep their current values, so passing the same
+   * passphrase with higher costs upgrades the parameters in place.
+   */
+  async changePassphrase(passphrase, kdf = {}) {
+    if (typeof passphrase !== 'string' || passphrase.length === 0) {
+      throw new Error('A passphrase is required');
+    }
+
+    const current = await readJSONFile(
+      path.join(this.databaseDir, HEADER_FILE)
+    );
+    if (current && current.keySlots) {
+      throw new Error(
+        'Passphrases of a database with key slots are changed with addKeySlot() and removeKeySlot()'
+      );
+    }
+    if (!current || !current.kdf) {
+      throw new Error('Database is not passphrase-protected');
+    }
+
+    const { N, r, p } = current.kdf;
+    const header = createDatabaseHeader({ N, r, p, ...kdf });
+    const newKey = await deriveHeaderKey(passphrase, header);
+
+    // The header is swapped together with the re-encrypted files
+    try {
+      await this._performKeyRotation(newKey, header);
+    } finally {
+      newKey.fill(0);
+    }
+  }
+
+  /**
+   * Add a key slot that unlocks the database with a passphrase or a
+   * 32-byte key. The first slot moves the database to a random master key
+   * (one crash-safe key rotation) and keeps the current key or passphrase
+   * as slot 0; later slots only rewrite the header.
+   */
+  async addKeySlot(credential = {}, { name, kdf } = {}) {
+    await this.ensureInitialized();
+
+    if (this.keyProvider) {
+      throw new Error('Key slots are not supported with a keyProvider');
+    }
+    if (!this.options.encrypt) {
+      throw new Error('Key slots require encryption to be enabled');
+    }
+
+    const { passphrase, key } = credential;
+    let type;
+    let slotKey;
+    let slotKdf;
+    if (typeof passphrase === 'string' && passphrase.length > 0) {
+      type = 'passphrase';
+      slotKdf = createDatabaseHeader(kdf).kdf;
+      slotKey = await deriveHeaderKey(passphrase, { kdf: slotKdf });
+    } else if (Buffer.isBuffer(key) && key.length === 32) {
+      type = 'key';
+      slotKey = Buffer.from(key);
+    } else {
+      throw new Error('A key slot needs a passphrase or a 32-byte key');
+    }
+
+    const headerPath = path.join(this.databaseDir, HEADER_FILE);
+    const header = (await readJSONFile(headerPath)) || { version: 1 };
+
+    try {
+      if (header.keySlots) {
+        const id = Math.max(-1, ...header.keySlots.map((slot) => slot.id)) + 1;
+        const slot = createKeySlot(id, slotKey, this.encryptionKey, {
+          type,
+          name,
+          kdf: slotKdf,
+        });
+        header.keySlots.push(slot);
+        await this._atomicWriteFile(
+          headerPath,
+          JSON.stringify(header, null, 2)
+        );
+        return describeKeySlot(slot);
+      }
+
+      // The current key (or the key derived from the passphrase) keeps
+      // opening the database through slot 0
+      const masterKey = this._generateSecureKey();
+      const { kdf: currentKdf, ...rest } = header;
+      const keySlots = [
+        createKeySlot(0, this.encryptionKey, masterKey, {
+          type: currentKdf ? 'passphrase' : 'key',
+          kdf: currentKdf,
+        }),
+        createKeySlot(1, slotKey, masterKey, { type, name, kdf: slotKdf }),
+      ];
+
+      try {
+        await this._performKeyRotation(masterKey, { ...rest, keySlots });
+      } finally {
+        masterKey.fill(0);
+      }
+      return describeKeySlot(keySlots[1]);
+    } finally {
+      slotKey.fill(0);
+    }
+  }
+
+  /**
+   * Revoke a key slot. Data is not re-encrypted: the master key stays the
+   * same, only the slot's wrapped copy of it is removed.
+   */
+  async removeKeySlot(id) {
+    await this.ensureInitialized();
+
+    const headerPath = path.join(this.databaseDir, HEADER_FILE);
+    const header = await readJSONFile(headerPath);
+    const slots = (header && header.keySlots) || [];
+    if (!slots.some((slot) => slot.id === id)) {
+      throw new Error(`Key slot ${id} does not exist`);
+    }
+    if (slots.length === 1) {
+      throw new Error('Cannot remove the last key slot');
+    }
+
+    header.keySlots = slots.filter((slot) => slot.id !== id);
+    await this._atomicWriteFile(headerPath, JSON.stringify(header, null, 2));
+  }
+
+  /**
+   * Key slots of the database, without their wrapped keys
+   */
+  async listKeySlots() {
+    const header = await readJSONFile(path.join(this.databaseDir, HEADER_FILE));
+    return ((header && header.keySlots) || []).map(describeKeySlot);
+  }
+
+  /**
+   * Re-encrypt table, index and catalog files with another cipher suite
+   * (aes-256-gcm or chacha20-poly1305), and use it for new files and WAL
+   * records. Every file records its cipher, so an interrupted migration
+   * leaves a readable database and running it again finishes the job.
+   */
+  async migrateCipher(cipher) {
+    assertCipher(cipher);
+    await this.ensureInitialized();
+    if (!this.options.encrypt) {
+      throw new Error('Cipher migration requires encryption to be enabled');
+    }
+    if (this.transactions.size > 0 || this.keyRotationPromise) {
+      throw new Error(
+        'Cannot migrate the cipher while transactions are active'
+      );
+    }
+
+    const migrationId = 'cipher-migration';
+    const tableNames = this.listTables();
+    for (const tableName of tableNames) {
+      await this._acquireLock(tableName, migrationId);
+    }
+
+    try {
+      this.options.cipher = cipher;
+      // Move entries logged with the old cipher into the table files
+      await this._checkpoint();
+      await this._rewriteFiles(
+        (container) => !container || container.cipher !== cipher
+      );
+      if (this.subjectKeys.size > 0) {
+        await this._saveSubjectKeys();
+      }
+      this.catalog.cipher = cipher;
+      await this._saveCatalog();
+    } finally {
+      for (const tableName of tableNames) {
+        this._releaseLock(tableName, migrationId);
+      }
+    }
+  }
+
+  async _assertKeyRotationAllowed() {
+    await this.ensureInitialized();
+
+    if (!this.options.encrypt) {
+      throw new Error('Key rotation requires encryption to be enabled');
+    }
+    if (this.transactions.size > 0 || this.keyRotationPromise) {
+      throw new Error('Cannot rotate the key while transactions are active');
+    }
+  }
+
+  async _performKeyRotation(newKey, header = null) {
+    await this._assertKeyRotationAllowed();
+    if (!Buffer.isBuffer(newKey) || newKey.length !== 32) {
+      throw new Error('New encryption key must be a 32-byte Buffer');
+    }
+
+    const rotationId = 'key-rotation';
+    const tableNames = this.listTables();
+    for (const tableName of tableNames) {
+      await this._acquireLock(tableName, rotationId);
+    }
+
+    this.keyRotationPromise = this._rotateKey(Buffer.from(newKey), header);
+    try {
+      await this.keyRotationPromise;
+    } finally {
+      this.keyRotationPromise = null;
+      for (const tableName of tableNames) {
+        this._releaseLock(tableName, rotationId);
+      }
+    }
+
+    this.eventEmitter.emit('rotateKey');
+  }
+
+  async _rotateKey(newKey, header) {
+    // Everything logged under the old WAL key goes into the table files
+    await this._checkpoint();
+
+    const walSalt = crypto.randomBytes(32);
+
+    // Data keys are only rewrapped. Tables still encrypted with the master
+    // key get a data key of their own and are re-encrypted under it.
+    const catalog = JSON.parse(JSON.stringify(this.catalog));
+    const migratedKeys = new Map();
+    for (const [tableName, entry] of Object.entries(catalog.tables)) {
+      let dataKey;
+      if (entry.dataKey) {
+        dataKey = await this._getTableKey(tableName);
+      } else {
+        dataKey = this._generateSecureKey();
+        migratedKeys.set(tableName, dataKey);
+      }
+      entry.dataKey = await this._wrapDataKey(dataKey, tableName, newKey);
+    }
+
+    // The header's key-check record is swapped along with the data
+    const newHeader = header ||
+      (await readJSONFile(path.join(this.databaseDir, HEADER_FILE))) || {
+        version: 1,
+      };
+    newHeader.keyCheck = this._encryptData(KEY_CHECK_RECORD, newKey);
+
+    const replacedFiles = {
+      [HEADER_FILE]: JSON.stringify(newHeader, null, 2),
+      [path.join('wal', '.salt')]: walSalt,
+    };
+
+    // The manifest is re-signed with the new key and records the hashes
+    // of the re-encrypted files
+    const manifest = this.manifest && JSON.parse(JSON.stringify(this.manifest));
+
+    const files = [];
+    try {
+      replacedFiles[CATALOG_FILE] = await this._encodeData(
+        catalog,
+        newKey,
+        this._getCatalogAAD()
+      );
+      if (manifest) {
+        manifest.files[CATALOG_FILE] = {
+          generation: catalog.generation || 0,
+          hash: hashFileData(replacedFiles[CATALOG_FILE]),
+        };
+      }
+
+      for (const [tableName, dataKey] of migratedKeys) {
+        for (const { file, aad } of this._getTableFiles(tableName)) {
+          const filePath = path.join(this.databaseDir, file);
+          if (!fsSync.existsSync(filePath)) continue;
+
+          const decoded = await this._decodeFile(
+            filePath,
+            this.encryptionKey,
+            aad
+          );
+          const data = await this._encodeData(decoded, dataKey, aad);
+          await this._writeSyncedFile(`${filePath}.newkey`, data);
+          files.push(file);
+
+          if (manifest) {
+            manifest.files[file] = {
+              generation: decoded.generation || 0,
+              hash: hashFileData(data),
+            };
+            // Previous generations are removed once the rotation completes
+            delete manifest.files[`${file}.prev`];
+          }
+        }
+      }
+      if (fsSync.existsSync(this._getSubjectKeysPath())) {
+        const entry = manifest && manifest.files[SUBJECT_KEYS_FILE];
+        const generation = entry ? entry.generation : 0;
+        const data = await this._encodeSubjectKeys(generation, newKey);
+        replacedFiles[SUBJECT_KEYS_FILE] = data;
+        if (manifest) {
+          manifest.files[SUBJECT_KEYS_FILE] = {
+            generation,
+            hash: hashFileData(data),
+          };
+        }
+      }
+      if (manifest) {
+        replacedFiles[MANIFEST_FILE] = serializeManifest(manifest, newKey);
+      }
+      for (const [file, data] of Object.entries(replacedFiles)) {
+        await this._writeSyncedFile(
+          path.join(this.databaseDir, `${file}.newkey`),
+          data
+        );
+      }
+    } catch (error) {
+      await this._removeStagedFiles();
+      throw new Error(`Key rotation failed: ${error.message}`);
+    }
+
+    // Commit point: from here on the rotation is completed, not undone
+    const rotation = {
+      version: 1,
+      started: Date.now(),
+      oldKeyCheck: getKeyCheck(this.encryptionKey),
+      newKeyCheck: getKeyCheck(newKey),
+      files: [...files, ...Object.keys(replacedFiles)],
+    };
+    await this._atomicWriteFile(
+      this._getKeyRotationPath(),
+      JSON.stringify(rotation)
+    );
+
+    await this._completeKeyRotation(rotation);
+
+    this.catalog = catalog;
+    this.manifest = manifest;
+    for (const [tableName, dataKey] of migratedKeys) {
+      this.dataKeys.set(tableName, dataKey);
+    }
+
+    // Switch to the new key and a WAL key derived from the new salt
+    this.encryptionKey.fill(0);
+    this.encryptionKey = newKey;
+    this.walSalt = walSalt;
+    if (this.walKey) {
+      this.walKey.fill(0);
+      this.walKey = this._deriveWALKey();
+    }
+  }
+
+  /**
+   * Relative paths of a table's file and its index files, with the
+   * additional authenticated data each is bound to
+   */
+  _getTableFiles(tableName) {
+    const entry = this.catalog.tables[tableName];
+    const indexNames = entry ? Object.keys(entry.indexes) : [];
+
+    return [
+      {
+        file: this._getTableFile(tableName),
+        aad: this._getAAD('table', tableName),
+      },
+      ...indexNames.map((indexName) => ({
+        file: this._getIndexFile(indexName),
+        aad: this._getIndexAAD(tableName, indexName),
+      })),
+    ];
+  }
+
+  _getKeyRotationPath() {
+    return path.join(this.databaseDir, 'rotation.json');
+  }
+
+  /**
+   * Promote the staged files, keeping the old ones as *.oldkey until the
+   * marker is removed so the rotation can still be undone
+   */
+  async _completeKeyRotation(rotation) {
+    for (const file of rotation.files) {
+      await this._promoteRotatedFile(path.join(this.databaseDir, file));
+    }
+
+    await fs.rm(this._getKeyRotationPath(), { force: true });
+    await this._syncDirectory(this.databaseDir);
+
+    for (const file of rotation.files) {
+      const filePath = path.join(this.databaseDir, file);
+      await fs.rm(`${filePath}.oldkey`, { force: true });
+      // Previous generations are still encrypted with the old key
+      await fs.rm(`${filePath}.prev`, { force: true });
+    }
+  }
+
+  async _promoteRotatedFile(filePath) {
+    if (!fsSync.existsSync(`${filePath}.newkey`)) return; // Already promoted
+
+    if (!fsSync.existsSync(`${filePath}.oldkey`)) {
+      try {
+        await fs.link(filePath, `${filePath}.oldkey`);
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          await fs.copyFile(filePath, `${filePath}.oldkey`);
+        }
+      }
+    }
+
+    await fs.rename(`${filePath}.newkey`, filePath);
+    await this._syncDirectory(path.dirname(filePath));
+  }
+
+  async _rollBackKeyRotation(rotation) {
+    for (const file of rotation.files) {
+      const filePath = path.join(this.databaseDir, file);
+
+      if (fsSync.existsSync(`${filePath}.oldkey`)) {
+        await fs.rename(`${filePath}.oldkey`, filePath);
+      }
+      await fs.rm(`${filePath}.newkey`, { force: true });
+    }
+
+    await fs.rm(this._getKeyRotationPath(), { force: true });
+    await this._syncDirectory(this.databaseDir);
+  }
+
+  /**
+   * On open, finish an interrupted rotation if opened with the new key or
+   * undo it if opened with the old one
+   */
+  async _resumeKeyRotation() {
+    let rotation;
+    try {
+      rotation = JSON.parse(
+        await fs.readFile(this._getKeyRotationPath(), 'utf8')
+      );
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    const keyCheck = getKeyCheck(this.encryptionKey);
+    if (keyCheck === rotation.newKeyCheck) {
+      console.warn('[KEY ROTATION] Completing interrupted key rotation');
+      await this._completeKeyRotation(rotation);
+    } else if (keyCheck === rotation.oldKeyCheck) {
+      console.warn('[KEY ROTATION] Rolling back interrupted key rotation');
+      await this._rollBackKeyRotation(rotation);
+    } else {
+      throw new WrongKeyError(
+        'Wrong encryption key: the key matches neither key of an interrupted key rotation'
+      );
+    }
+  }
+
+  /**
+   * Performance monitoring and statistics
+   */
+  async getStats() {
+    return {
+      tables: await this._getTableCount(),
+      indexes: this.indexes.size,
+      activeTransactions: this.transactions.size,
+      walSequence: this.walSequence,
+      checkpointLSN: this.checkpointLSN,
+      manifestGeneration: this.manifest ? this.manifest.generation : null,
+      memoryUsage: process.memoryUsage(),
+      uptime: process.uptime(),
+      locks: this.locks.size,
+      lockQueue: Array.from(this.lockQueue.values()).reduce(
+        (sum, queue) => sum + queue.length,
+        0
+      ),
+    };
+  }
+
+  async _getTableCount() {
+    return this.listTables().filter((tableName) => this.tableExists(tableName))
+      .length;
+  }
+
+  /**
+   * Enhanced graceful shutdown with proper key management
+   */
+  async close() {
+    if (this.isClosed || this.isClosing) return;
+
+    this.isClosing = true;
+
+    // Clear checkpoint timer
+    if (this.checkpointTimer) {
+      clearInterval(this.checkpointTimer);
+      this.checkpointTimer = null;
+    }
+
+    // Final checkpoint flushes remaining WAL entries and truncates the log
+    try {
+      await this._checkpoint();
+      // A checkpoint already in progress may have missed the latest entries
+      await this._checkpoint();
+    } catch (error) {
+      console.warn(`[WAL] Final checkpoint failed: ${error.message}`);
+    }
+
+    this.isClosed = true;
+
+    // Clear all pending operations
+    this.lockQueue.clear();
+    this.locks.clear();
+    this.transactions.clear();
+
+    // Securely wipe encryption keys (now safe since each instance has its own copy)
+    if (this.encryptionKey && Buffer.isBuffer(this.encryptionKey)) {
+      this.encryptionKey.fill(0);
+    }
+    if (this.walKey && Buffer.isBuffer(this.walKey)) {
       this.walKey.fill(0);
     }
     if (this.walSalt && Buffer.isBuffer(this.walSalt)) {
       this.walSalt.fill(0);
     }
+    if (this.fieldKey) {
+      this.fieldKey.fill(0);
+    }
+    for (const subjectKey of this.subjectKeys.values()) {
+      subjectKey.fill(0);
+    }
+    this.subjectKeys.clear();
+    for (const tableName of [...this.dataKeys.keys()]) {
+      this._forgetDataKey(tableName);
+    }
 
     this.encryptionKey = null;
     this.walKey = null;
     this.walSalt = null;
+    this.fieldKey = null;
 
     // Remove all event listeners
     this.eventEmitter.removeAllListeners();
@@ -1687,6 +5017,635 @@ class SlimCryptDB {
   }
 }
 
+/**
+ * Key fingerprint that identifies a key without revealing it
+ */
+function getKeyCheck(key) {
+  return crypto
+    .createHmac('sha256', key)
+    .update('slimcryptdb:key-check')
+    .digest('hex');
+}
+
+/**
+ * MAC over the manifest content, keyed by a key derived from the master key
+ */
+function signManifest(content, masterKey) {
+  const macKey = Buffer.from(
+    crypto.hkdfSync('sha256', masterKey, '', 'slimcryptdb:manifest', 32)
+  );
+  return crypto
+    .createHmac('sha256', macKey)
+    .update(JSON.stringify(content))
+    .digest('hex');
+}
+
+function serializeManifest(manifest, masterKey) {
+  const { version, generation, files } = manifest;
+  const content = { version, generation, files };
+  return JSON.stringify(
+    { ...content, mac: signManifest(content, masterKey) },
+    null,
+    2
+  );
+}
+
+/**
+ * Fields of a binary container, or null for files written before the
+ * container existed
+ */
+function parseContainer(data) {
+  if (
+    !Buffer.isBuffer(data) ||
+    !data.subarray(0, FILE_MAGIC.length).equals(FILE_MAGIC)
+  ) {
+    return null;
+  }
+  if (data.length < FILE_HEADER_SIZE) {
+    throw new IntegrityError('Decryption failed: the file is truncated');
+  }
+
+  const version = data[4];
+  const cipher = findById(CIPHERS, data[5]);
+  const codec = findById(CODECS, data[6]);
+  if (version !== FILE_FORMAT_VERSION || !cipher || !codec) {
+    throw new Error(
+      `Unsupported file format: version ${version}, cipher ${data[5]}, codec ${data[6]}`
+    );
+  }
+
+  const nonceSize = data[8 + KEY_ID_SIZE];
+  const tagSize = cipher === 'none' ? 0 : AUTH_TAG_SIZE;
+  const payloadOffset = FILE_HEADER_SIZE + nonceSize + tagSize;
+  if (data.length < payloadOffset) {
+    throw new IntegrityError('Decryption failed: the file is truncated');
+  }
+
+  return {
+    header: data.subarray(0, FILE_HEADER_SIZE),
+    cipher,
+    codec,
+    bound: (data[7] & FILE_FLAG_BOUND) !== 0,
+    keyId: data.subarray(8, 8 + KEY_ID_SIZE),
+    nonce: data.subarray(FILE_HEADER_SIZE, FILE_HEADER_SIZE + nonceSize),
+    tag: data.subarray(FILE_HEADER_SIZE + nonceSize, payloadOffset),
+    payload: data.subarray(payloadOffset),
+  };
+}
+
+function assertCipher(cipher) {
+  if (cipher === 'none' || !Object.hasOwn(CIPHERS, cipher)) {
+    throw new Error(
+      `Unknown cipher ${cipher}: use ${Object.keys(CIPHERS)
+        .filter((name) => name !== 'none')
+        .join(', ')}`
+    );
+  }
+}
+
+/**
+ * Frame a payload with the container header, encrypting it unless the
+ * cipher is `none`. The header is authenticated along with the AAD.
+ */
+function sealContainer(payload, { cipher, codec, key, aad }) {
+  const { id, nonceSize } = CIPHERS[cipher];
+  const header = Buffer.alloc(FILE_HEADER_SIZE);
+  FILE_MAGIC.copy(header);
+  header[4] = FILE_FORMAT_VERSION;
+  header[5] = id;
+  header[6] = CODECS[codec].id;
+  if (cipher === 'none') {
+    return Buffer.concat([header, payload]);
+  }
+  header[7] = aad ? FILE_FLAG_BOUND : 0;
+  getKeyId(key).copy(header, 8);
+  header[8 + KEY_ID_SIZE] = nonceSize;
+
+  const nonce = crypto.randomBytes(nonceSize);
+  const encryptor = crypto.createCipheriv(cipher, key, nonce, {
+    authTagLength: AUTH_TAG_SIZE,
+  });
+  encryptor.setAAD(getContainerAAD(header, aad));
+  const ciphertext = Buffer.concat([
+    encryptor.update(payload),
+    encryptor.final(),
+  ]);
+  return Buffer.concat([header, nonce, encryptor.getAuthTag(), ciphertext]);
+}
+
+/**
+ * Decrypt an encrypted container after checking it was sealed with `key`
+ */
+function openContainer(container, key, aad) {
+  if (!container.keyId.equals(getKeyId(key))) {
+    throw new IntegrityError(
+      'Decryption failed: the data was encrypted with a different key'
+    );
+  }
+
+  const decipher = crypto.createDecipheriv(
+    container.cipher,
+    key,
+    container.nonce,
+    { authTagLength: AUTH_TAG_SIZE }
+  );
+  decipher.setAAD(getContainerAAD(container.header, container.bound && aad));
+  decipher.setAuthTag(container.tag);
+  try {
+    return Buffer.concat([
+      decipher.update(container.payload),
+      decipher.final(),
+    ]);
+  } catch {
+    throw new IntegrityError(
+      'Authentication failed: data has been tampered with'
+    );
+  }
+}
+
+/**
+ * Whether a row matches an equality filter; RegExp values are tested
+ */
+/**
+ * Whether the YYYY-MM-DD at the start of a string is a real calendar day.
+ * Date.parse rolls days past the end of a month over (2023-02-30 is
+ * parsed as March 2).
+ */
+function isCalendarDate(value) {
+  const [year, month, day] = value.slice(0, 10).split('-').map(Number);
+  const date = new Date(0);
+  date.setUTCFullYear(year, month - 1, day);
+  return (
+    date.getUTCFullYear() === year &&
+    date.getUTCMonth() === month - 1 &&
+    date.getUTCDate() === day
+  );
+}
+
+function matchesQuery(row, query) {
+  return Object.entries(query).every(([key, value]) => {
+    if (value instanceof RegExp) {
+      return value.test(row[key]);
+    }
+    return row[key] === value;
+  });
+}
+
+/**
+ * Seal a JSON value in a container, encoded as a prefixed base64 string
+ */
+function sealValue(value, prefix, { cipher, key, aad }) {
+  const container = sealContainer(Buffer.from(JSON.stringify(value), 'utf8'), {
+    cipher,
+    codec: 'none',
+    key,
+    aad,
+  });
+  return prefix + container.toString('base64');
+}
+
+function openValue(sealed, key, aad) {
+  const container = parseContainer(
+    Buffer.from(
+      sealed.slice(
+        isSealedField(sealed)
+          ? SEALED_FIELD_PREFIX.length
+          : SEALED_SUBJECT_PREFIX.length
+      ),
+      'base64'
+    )
+  );
+  if (!container || !container.bound) {
+    throw new Error('the value is not sealed');
+  }
+  return JSON.parse(openContainer(container, key, aad).toString('utf8'));
+}
+
+function isSealedField(value) {
+  return typeof value === 'string' && value.startsWith(SEALED_FIELD_PREFIX);
+}
+
+function isSealedSubjectValue(value) {
+  return typeof value === 'string' && value.startsWith(SEALED_SUBJECT_PREFIX);
+}
+
+function isSealedValue(value) {
+  return isSealedField(value) || isSealedSubjectValue(value);
+}
+
+/**
+ * Whether a sealed value was carried over unchanged from the stored row.
+ * Client values that merely look sealed are not trusted.
+ */
+function isKeptSealed(value, stored, field) {
+  return Boolean(stored) && isSealedValue(value) && value === stored[field];
+}
+
+function assertFieldKey(fieldKey) {
+  if (!Buffer.isBuffer(fieldKey) || fieldKey.length !== 32) {
+    throw new Error('Field key must be a 32-byte Buffer');
+  }
+}
+
+function findById(registry, id) {
+  return Object.keys(registry).find((name) => registry[name].id === id);
+}
+
+/**
+ * Identifies the key that sealed a container without revealing it, so a
+ * wrong key is told apart from tampered data
+ */
+function getKeyId(key) {
+  return crypto
+    .createHmac('sha256', key)
+    .update('slimcryptdb:key-id')
+    .digest()
+    .subarray(0, KEY_ID_SIZE);
+}
+
+/**
+ * Additional authenticated data of a container: its header followed by
+ * the AAD binding it to its role and name
+ */
+function getContainerAAD(header, aad) {
+  return aad ? Buffer.concat([header, Buffer.from(aad)]) : header;
+}
+
+async function decompressLegacyData(data) {
+  const gzipped = Buffer.isBuffer(data) && data[0] === 0x1f && data[1] === 0x8b;
+  return gzipped ? gunzip(data) : data;
+}
+
+async function isBoundData(data) {
+  const container = parseContainer(data);
+  if (container) return container.bound;
+
+  const legacy = await decompressLegacyData(data);
+  return legacy.toString().startsWith(`v${FORMAT_VERSION}:`);
+}
+
+function hashFileData(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * Read a plaintext JSON file next to the data, or null if it is missing
+ */
+async function readJSONFile(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw new Error(`Invalid ${path.basename(filePath)}: ${error.message}`);
+  }
+}
+
+/**
+ * Header with a fresh salt and the given scrypt costs
+ */
+function createDatabaseHeader(kdf = {}) {
+  const { N, r, p } = { ...DEFAULT_SCRYPT_PARAMS, ...kdf };
+
+  if (!Number.isInteger(N) || N < 2 || (N & (N - 1)) !== 0) {
+    throw new Error('scrypt N must be a power of two greater than 1');
+  }
+  if (!Number.isInteger(r) || r < 1 || !Number.isInteger(p) || p < 1) {
+    throw new Error('scrypt r and p must be positive integers');
+  }
+
+  return {
+    version: 1,
+    kdf: {
+      name: 'scrypt',
+      N,
+      r,
+      p,
+      keyLength: 32,
+      salt: crypto.randomBytes(32).toString('hex'),
+    },
+  };
+}
+
+async function deriveHeaderKey(passphrase, header) {
+  const { name, N, r, p, keyLength, salt } = header.kdf;
+  if (name !== 'scrypt') {
+    throw new Error(`Unsupported key derivation function: ${name}`);
+  }
+
+  return scrypt(
+    passphrase.normalize('NFKC'),
+    Buffer.from(salt, 'hex'),
+    keyLength,
+    {
+      N,
+      r,
+      p,
+      maxmem: 256 * N * r,
+    }
+  );
+}
+
+/**
+ * Derive the key for a passphrase. While a passphrase change is
+ * interrupted, the staged header applies if it matches the rotation.
+ */
+async function resolvePassphraseKey(databaseDir, passphrase, header) {
+  const key = isPassphraseHeader(header)
+    ? await derivePassphraseKey(passphrase, header)
+    : null;
+  const rotation = await readJSONFile(path.join(databaseDir, 'rotation.json'));
+  const staged = await readJSONFile(
+    path.join(databaseDir, `${HEADER_FILE}.newkey`)
+  );
+
+  if (rotation && isPassphraseHeader(staged)) {
+    const stagedKey = await derivePassphraseKey(passphrase, staged);
+    if (stagedKey && getKeyCheck(stagedKey) === rotation.newKeyCheck) {
+      if (key) key.fill(0);
+      return stagedKey;
+    }
+    if (stagedKey) stagedKey.fill(0);
+  }
+
+  if (!isPassphraseHeader(header)) {
+    // e.g. a header holding only the key-check record of a raw key
+    throw new Error(
+      'Database is not passphrase-protected: open it with its encryption key'
+    );
+  }
+  if (!key) {
+    throw new WrongKeyError('Wrong passphrase: it opens no key slot');
+  }
+  return key;
+}
+
+function isPassphraseHeader(header) {
+  return Boolean(header && (header.kdf || header.keySlots));
+}
+
+/**
+ * Key for a passphrase: derived from the header's parameters, or the
+ * master key from a passphrase key slot (null if none opens)
+ */
+async function derivePassphraseKey(passphrase, header) {
+  return header.keySlots
+    ? openPassphraseSlot(header, passphrase)
+    : deriveHeaderKey(passphrase, header);
+}
+
+/**
+ * Check that a keyProvider implements the required hooks
+ */
+function validateKeyProvider(keyProvider) {
+  if (typeof keyProvider.getKey !== 'function') {
+    throw new Error('keyProvider must implement getKey()');
+  }
+  if (
+    (typeof keyProvider.wrapKey === 'function') !==
+    (typeof keyProvider.unwrapKey === 'function')
+  ) {
+    throw new Error(
+      'keyProvider must implement both wrapKey() and unwrapKey()'
+    );
+  }
+}
+
+/**
+ * Fetch a key version from a provider (or a new one when rotating) and
+ * return a private copy of the key
+ */
+async function getProviderKey(keyProvider, keyId, rotate = false) {
+  const result = rotate
+    ? await keyProvider.rotateKey()
+    : await keyProvider.getKey(keyId || undefined);
+  const { key } = result || {};
+
+  if (!Buffer.isBuffer(key) || key.length !== 32) {
+    throw new Error('Key provider must return a 32-byte Buffer as `key`');
+  }
+  return { keyId: result.keyId || null, key: Buffer.from(key) };
+}
+
+/**
+ * Fetch the key version named by the header from a provider. While a key
+ * rotation is interrupted, the staged header applies if it matches.
+ */
+async function resolveProviderKey(databaseDir, keyProvider) {
+  const header = await readJSONFile(path.join(databaseDir, HEADER_FILE));
+  const rotation = await readJSONFile(path.join(databaseDir, 'rotation.json'));
+  const staged = await readJSONFile(
+    path.join(databaseDir, `${HEADER_FILE}.newkey`)
+  );
+
+  if (rotation && staged && staged.keyId) {
+    const stagedKey = await getProviderKey(keyProvider, staged.keyId);
+    if (getKeyCheck(stagedKey.key) === rotation.newKeyCheck) {
+      return stagedKey;
+    }
+    stagedKey.key.fill(0);
+  }
+
+  return getProviderKey(keyProvider, header && header.keyId);
+}
+
+/**
+ * Wrap a 256-bit key with AES-256-GCM. The context (e.g. the table of a
+ * data key) is bound as additional authenticated data, so a wrapped key
+ * cannot be moved to another place in the database.
+ */
+function wrapKeyMaterial(wrappingKey, key, context) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', wrappingKey, iv);
+  cipher.setAAD(Buffer.from(`slimcryptdb:${context}`));
+
+  const wrapped = Buffer.concat([cipher.update(key), cipher.final()]);
+  return [iv, cipher.getAuthTag(), wrapped]
+    .map((part) => part.toString('hex'))
+    .join(':');
+}
+
+function unwrapKeyMaterial(wrappingKey, wrappedKey, context) {
+  const [iv, authTag, wrapped] = wrappedKey
+    .split(':')
+    .map((part) => Buffer.from(part, 'hex'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', wrappingKey, iv);
+  decipher.setAAD(Buffer.from(`slimcryptdb:${context}`));
+  decipher.setAuthTag(authTag);
+
+  const key = Buffer.concat([decipher.update(wrapped), decipher.final()]);
+  if (key.length !== 32) {
+    throw new Error(`Invalid key length: ${key.length}`);
+  }
+  return key;
+}
+
+/**
+ * Key slot wrapping the master key under a slot key: a raw key, or one
+ * derived from a passphrase with the slot's scrypt parameters
+ */
+function createKeySlot(id, slotKey, masterKey, { type, name, kdf }) {
+  return {
+    id,
+    type,
+    name: name || null,
+    created: Date.now(),
+    ...(kdf && { kdf }),
+    wrappedKey: wrapKeyMaterial(slotKey, masterKey, `key-slot:${id}`),
+  };
+}
+
+function describeKeySlot({ id, type, name, created }) {
+  return { id, type, name, created };
+}
+
+/**
+ * Master key wrapped in a slot, or null if the slot key does not open it
+ */
+function openKeySlot(slot, slotKey) {
+  try {
+    return unwrapKeyMaterial(slotKey, slot.wrappedKey, `key-slot:${slot.id}`);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Master key from the first passphrase slot the passphrase opens, or null
+ */
+async function openPassphraseSlot(header, passphrase) {
+  for (const slot of header.keySlots.filter((s) => s.type === 'passphrase')) {
+    const slotKey = await deriveHeaderKey(passphrase, slot);
+    const masterKey = openKeySlot(slot, slotKey);
+    slotKey.fill(0);
+    if (masterKey) return masterKey;
+  }
+  return null;
+}
+
+/**
+ * Master key for a key that unlocks a key slot, in the staged header of an
+ * interrupted rotation or the current one. Null if no slot matches, in
+ * which case the key is used as the master key itself.
+ */
+async function resolveKeySlotKey(databaseDir, key) {
+  const header = await readJSONFile(path.join(databaseDir, HEADER_FILE));
+  const rotation = await readJSONFile(path.join(databaseDir, 'rotation.json'));
+  const staged = rotation
+    ? await readJSONFile(path.join(databaseDir, `${HEADER_FILE}.newkey`))
+    : null;
+
+  for (const candidate of [staged, header]) {
+    if (!candidate || !candidate.keySlots) continue;
+
+    for (const slot of candidate.keySlots.filter((s) => s.type === 'key')) {
+      const masterKey = openKeySlot(slot, key);
+      if (masterKey) return masterKey;
+    }
+  }
+  return null;
+}
+
+async function writeFileDurably(filePath, data, { mode } = {}) {
+  const tempPath = `${filePath}.tmp`;
+  const handle = await fs.open(tempPath, 'w', mode);
+
+  try {
+    if (mode !== undefined) await handle.chmod(mode);
+    await handle.writeFile(data);
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+  await fs.rename(tempPath, filePath);
+}
+
+/**
+ * Key provider backed by a local JSON keyring file (mode 0600), for
+ * development and tests without an external KMS. Each rotation adds a key
+ * version; older versions are kept so keys wrapped under them still unwrap.
+ */
+class LocalKeyProvider {
+  constructor(keyringPath) {
+    this.keyringPath = keyringPath;
+  }
+
+  async getKey(keyId) {
+    const keyring = await this._loadKeyring();
+    const id = keyId || keyring.current;
+    return { keyId: id, key: this._getKeyVersion(keyring, id) };
+  }
+
+  async wrapKey(dataKey, { tableName }) {
+    const keyring = await this._loadKeyring();
+    const key = this._getKeyVersion(keyring, keyring.current);
+
+    try {
+      const wrapped = wrapKeyMaterial(key, dataKey, `data-key:${tableName}`);
+      return `${keyring.current}:${wrapped}`;
+    } finally {
+      key.fill(0);
+    }
+  }
+
+  async unwrapKey(wrappedKey, { tableName }) {
+    const separator = wrappedKey.indexOf(':');
+    const keyId = wrappedKey.slice(0, separator);
+    const key = this._getKeyVersion(await this._loadKeyring(), keyId);
+
+    try {
+      return unwrapKeyMaterial(
+        key,
+        wrappedKey.slice(separator + 1),
+        `data-key:${tableName}`
+      );
+    } catch (error) {
+      throw new IntegrityError(
+        `Cannot unwrap the data key of table ${tableName}: ${error.message}`
+      );
+    } finally {
+      key.fill(0);
+    }
+  }
+
+  async rotateKey() {
+    const keyring = await this._loadKeyring();
+    const keyId = `k${Object.keys(keyring.keys).length + 1}`;
+
+    keyring.keys[keyId] = crypto.randomBytes(32).toString('hex');
+    keyring.current = keyId;
+    await this._saveKeyring(keyring);
+
+    return { keyId, key: this._getKeyVersion(keyring, keyId) };
+  }
+
+  _getKeyVersion(keyring, keyId) {
+    if (!keyring.keys[keyId]) {
+      throw new Error(`Key ${keyId} is not in the keyring`);
+    }
+    return Buffer.from(keyring.keys[keyId], 'hex');
+  }
+
+  async _loadKeyring() {
+    const keyring = await readJSONFile(this.keyringPath);
+    if (keyring) return keyring;
+
+    const created = {
+      version: 1,
+      current: 'k1',
+      keys: { k1: crypto.randomBytes(32).toString('hex') },
+    };
+    await this._saveKeyring(created);
+    return created;
+  }
+
+  async _saveKeyring(keyring) {
+    await fs.mkdir(path.dirname(this.keyringPath), { recursive: true });
+    await writeFileDurably(this.keyringPath, JSON.stringify(keyring, null, 2), {
+      mode: 0o600,
+    });
+  }
+}
+
 /**
  * Generate secure encryption key
  */
@@ -1713,6 +5672,12 @@ function createSecureDatabase(databaseDir, encryptionKey = null, options = {}) {
 
 module.exports = {
   SlimCryptDB,
+  SchemaValidationError,
+  SerializationError,
+  WrongKeyError,
+  IntegrityError,
+  CommitNotAppliedError,
+  LocalKeyProvider,
   generateEncryptionKey,
   createSecureDatabase,
 };